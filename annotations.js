@@ -0,0 +1,144 @@
+// Bookmarks and notes: the stars, free-form labels and notes analysts attach to messages, keyed by
+// getMessageKey so they survive reloads and live updates. Free of DOM and Leaflet like search.js;
+// the page keeps them in localStorage and shows them on event cards, in the details panel and on the map.
+// An annotation is { starred, labels, note, updatedAt, date, channel, text }. The last three describe
+// the message, so an exported file still reads sensibly where that message isn't loaded.
+
+const ANNOTATIONS_EXPORT_VERSION = 1;
+const ANNOTATION_SNIPPET_LENGTH = 200; // characters of message text kept with an annotation
+
+// "follow-up, verify,Follow-up" -> ['follow-up', 'verify']: trimmed, first spelling of each kept
+function parseAnnotationLabels(text) {
+  const labels = [];
+  const seen = new Set();
+  String(text ?? '').split(',').forEach(label => {
+    const trimmed = label.trim();
+    if (!trimmed || seen.has(trimmed.toLowerCase())) return;
+    seen.add(trimmed.toLowerCase());
+    labels.push(trimmed);
+  });
+  return labels;
+}
+
+// An empty message key -> annotation store. It has no prototype, so a key from an imported file
+// such as "__proto__" is stored like any other instead of reaching Object.prototype.
+function createAnnotations() {
+  return Object.create(null);
+}
+
+function isAnnotationEmpty(annotation) {
+  return !annotation.starred && annotation.labels.length === 0 && !annotation.note;
+}
+
+// Apply changes ({ starred, labels, note }, any subset) to a message's annotation and return it.
+// msg, when loaded, refreshes the description kept with it; an annotation left empty is removed.
+function updateAnnotation(annotations, messageKey, msg, changes, now = new Date()) {
+  const current = annotations[messageKey] || { starred: false, labels: [], note: '', date: null, channel: '', text: '' };
+  const annotation = {
+    ...current,
+    ...changes,
+    updatedAt: now.toISOString(),
+    date: msg ? msg.date : current.date,
+    channel: msg ? msg.channel : current.channel,
+    text: msg ? getAnnotationSnippet(msg) : current.text
+  };
+
+  if (isAnnotationEmpty(annotation)) {
+    delete annotations[messageKey];
+  } else {
+    annotations[messageKey] = annotation;
+  }
+  return annotation;
+}
+
+function getAnnotationSnippet(msg) {
+  const text = String(msg.text || '').replace(/\s+/g, ' ').trim();
+  return text.length > ANNOTATION_SNIPPET_LENGTH ? `${text.slice(0, ANNOTATION_SNIPPET_LENGTH - 1)}…` : text;
+}
+
+// Keep only well-formed, non-empty annotations, as stored or imported
+function sanitizeAnnotations(saved) {
+  const sanitized = createAnnotations();
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return sanitized;
+
+  Object.entries(saved).forEach(([messageKey, annotation]) => {
+    if (!messageKey || !annotation || typeof annotation !== 'object') return;
+    const clean = {
+      starred: annotation.starred === true,
+      labels: Array.isArray(annotation.labels) ? parseAnnotationLabels(annotation.labels.filter(label => typeof label === 'string').join(',')) : [],
+      note: typeof annotation.note === 'string' ? annotation.note : '',
+      updatedAt: typeof annotation.updatedAt === 'string' ? annotation.updatedAt : new Date(0).toISOString(),
+      date: typeof annotation.date === 'string' ? annotation.date : null,
+      channel: typeof annotation.channel === 'string' ? annotation.channel : '',
+      text: typeof annotation.text === 'string' ? annotation.text : ''
+    };
+    if (!isAnnotationEmpty(clean)) sanitized[messageKey] = clean;
+  });
+  return sanitized;
+}
+
+// Does an annotation pass the bookmark filters? starredOnly keeps starred messages, label (any case)
+// keeps messages with that label; with neither set everything passes, unannotated messages included.
+function annotationMatches(annotation, { starredOnly, label }) {
+  if (!starredOnly && !label) return true;
+  if (!annotation) return false;
+  if (starredOnly && !annotation.starred) return false;
+  return !label || annotation.labels.some(candidate => candidate.toLowerCase() === label.toLowerCase());
+}
+
+// Labels in use, most used first: [{ label, count }]
+function getAnnotationLabels(annotations) {
+  const counts = new Map();
+  Object.values(annotations).forEach(annotation => {
+    annotation.labels.forEach(label => {
+      const key = label.toLowerCase();
+      if (!counts.has(key)) counts.set(key, { label, count: 0 });
+      counts.get(key).count++;
+    });
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+// The annotations as a JSON file another browser can import
+function buildAnnotationsExport(annotations, now = new Date()) {
+  return JSON.stringify({
+    version: ANNOTATIONS_EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    annotations
+  }, null, 2);
+}
+
+// Annotations from an exported file (a bare key -> annotation object is accepted too).
+// Throws an Error saying what's wrong if the text isn't such a file.
+function parseAnnotationsImport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON.');
+  }
+  const source = parsed && typeof parsed === 'object' && parsed.annotations ? parsed.annotations : parsed;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('The file does not contain message notes.');
+  }
+  return sanitizeAnnotations(source);
+}
+
+// Merge imported annotations in place; for a message annotated on both sides the newer edit wins.
+// Returns { added, updated, unchanged } counts.
+function mergeAnnotations(annotations, imported) {
+  const result = { added: 0, updated: 0, unchanged: 0 };
+  Object.entries(imported).forEach(([messageKey, annotation]) => {
+    const current = Object.hasOwn(annotations, messageKey) ? annotations[messageKey] : null;
+    if (!current) {
+      annotations[messageKey] = annotation;
+      result.added++;
+    } else if (Date.parse(annotation.updatedAt) > Date.parse(current.updatedAt)) {
+      annotations[messageKey] = annotation;
+      result.updated++;
+    } else {
+      result.unchanged++;
+    }
+  });
+  return result;
+}
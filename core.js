@@ -0,0 +1,430 @@
+// Data core: the loaded dataset and the questions every view asks of it - where a location name
+// is, which messages lie in a region or area, which pass the filters, and how they add up.
+// Free of DOM and Leaflet, so it runs on the page and under Node (see test/); time.js, search.js,
+// geocoding.js and dashboard.js must be loaded first. script.js keeps one dataset and draws
+// the map, timeline and dashboard from what these functions return.
+//
+//   createDataset(messages, rawLocationCache, { overrides, aliases })
+//                                              a dataset ready to query
+//   addMessagesToDataset(dataset, messages)    merge arrivals; returns the ones that were new
+//   setDatasetLocationCache(dataset, rawLocationCache)
+//                                              swap in a refreshed location cache
+//   setDatasetLocationFixes(dataset, { overrides, aliases })
+//                                              local geocoding fixes on top of the cache
+//   resolveDatasetLocation(dataset, name)      { key, coord } for a location name
+//   queryDataset(dataset, query)               messages passing the filters, newest first
+//   getQueryCriteria(dataset, query)           the same query as passesEventsFilters criteria
+//   findMessagesInRegion(dataset, bounds)      messages located inside a box, newest first
+//   findMessagesInArea(dataset, area)          Set of messages located inside an area
+//   getLocationMessages(dataset, key)          messages mentioning a place, newest first
+//   findNearbyLocations(dataset, key, radius, limit)
+//                                              other mentioned places around a place
+//   aggregateMessages(dataset, messages, options)
+//                                              per-bucket, per-channel and per-place counts
+//
+// A dataset is { messages, messageKeys, baseLocationCache, locationCache, overrides, aliases,
+// locationIndex, spatialIndex }. Treat it as read-only outside these functions.
+
+const SPATIAL_INDEX_CELL_DEG = 0.05; // grid cell size (~5km)
+const SPATIAL_INDEX_MAX_CELLS = 400; // boxes spanning more cells than this are kept in a side list
+const EARTH_RADIUS_M = 6371000; // as Leaflet measures circle radii
+
+// ---------------------------------------------------------------------------
+// Dataset: messages, the location cache with local fixes, and the indexes over them
+// ---------------------------------------------------------------------------
+
+// Build a dataset. rawLocationCache is location_cache.json as served (keys in any case);
+// overrides (cache key -> coordinates) and aliases (name -> name of a known place) are the
+// geocoding fixes made in this browser, and the built-in aliases always apply.
+function createDataset(messages = [], rawLocationCache = {}, { overrides = createNameTable(), aliases = createNameTable() } = {}) {
+  const dataset = {
+    messages,
+    messageKeys: new Set(messages.map(getMessageKey)),
+    baseLocationCache: {},
+    locationCache: {},
+    overrides,
+    aliases,
+    locationIndex: null,
+    spatialIndex: createSpatialIndex()
+  };
+  setDatasetLocationCache(dataset, rawLocationCache);
+  return dataset;
+}
+
+// Add newly arrived messages. Messages without a date that parses and messages already in the
+// dataset (by getMessageKey) are skipped; returns those that were added, in the order given.
+function addMessagesToDataset(dataset, messages) {
+  const added = messages.filter(msg => {
+    if (!msg || !msg.date || isNaN(new Date(msg.date).getTime())) return false;
+    const key = getMessageKey(msg);
+    if (dataset.messageKeys.has(key)) return false;
+    dataset.messageKeys.add(key);
+    return true;
+  });
+  added.forEach(msg => dataset.messages.push(msg)); // one at a time: a large delta is too many arguments to spread
+  addToSpatialIndex(dataset.spatialIndex, added, name => resolveDatasetLocation(dataset, name));
+  return added;
+}
+
+function setDatasetLocationCache(dataset, rawLocationCache) {
+  dataset.baseLocationCache = normalizeLocationCache(rawLocationCache);
+  rebuildDatasetLocations(dataset);
+}
+
+function setDatasetLocationFixes(dataset, { overrides = dataset.overrides, aliases = dataset.aliases } = {}) {
+  dataset.overrides = overrides;
+  dataset.aliases = aliases;
+  rebuildDatasetLocations(dataset);
+}
+
+// New coordinates can move any message, so the location and spatial indexes start over
+function rebuildDatasetLocations(dataset) {
+  dataset.locationCache = applyLocationOverrides(dataset.baseLocationCache, dataset.overrides);
+  dataset.locationIndex = buildLocationIndex(dataset.locationCache, { ...DEFAULT_LOCATION_ALIASES, ...dataset.aliases });
+  dataset.spatialIndex = createSpatialIndex();
+  addToSpatialIndex(dataset.spatialIndex, dataset.messages, name => resolveDatasetLocation(dataset, name));
+}
+
+// Location cache keys are matched lowercased and trimmed
+function normalizeLocationCache(rawLocationCache) {
+  const normalized = createNameTable();
+  Object.keys(rawLocationCache || {}).forEach(key => {
+    normalized[key.trim().toLowerCase()] = rawLocationCache[key];
+  });
+  return normalized;
+}
+
+// Stable identity for a message, used to dedupe across loads and live updates
+function getMessageKey(msg) {
+  return msg.id || `${msg.text}_${msg.date}_${msg.channel}`;
+}
+
+// The one way to look a location name up: { key, coord } for the cache entry the name resolves to,
+// through exact keys, aliases and spelling variants (see geocoding.js). coord is null when
+// geocoding failed and undefined when the cache doesn't know the place.
+function resolveDatasetLocation(dataset, name) {
+  return resolveLocationName(dataset.locationIndex, name);
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+// Filter criteria for passesEventsFilters from a query shaped like the page's filter bar:
+// { startDate, endDate, channels, searchText, area }, where the dates are YYYY-MM-DD days in the
+// display time zone with the end day included ('' or missing leaves that end open), an empty
+// channels list means every channel and area, if set, is an area object (see createRectangleArea).
+// Returns null when the start day is after the end day.
+function getQueryCriteria(dataset, { startDate = '', endDate = '', channels = [], searchText = '', area = null } = {}) {
+  const criteria = {
+    startDate: startDate ? new Date(getDayStart(startDate)) : null,
+    endDate: endDate ? new Date(getDayEnd(endDate)) : null,
+    searchText,
+    selectedChannels: channels,
+    area,
+    areaMessages: area ? findMessagesInArea(dataset, area) : null
+  };
+
+  if (criteria.startDate && criteria.endDate && criteria.startDate > criteria.endDate) return null;
+  return criteria;
+}
+
+// Messages passing a query (see getQueryCriteria), newest first. Throws QuerySyntaxError for a
+// malformed search and a RangeError when the start day is after the end day.
+function queryDataset(dataset, query = {}) {
+  const criteria = getQueryCriteria(dataset, query);
+  if (!criteria) throw new RangeError("Start date can't be after end date.");
+  return dataset.messages
+    .filter(msg => passesEventsFilters(msg, criteria))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+// Messages with a location inside the bounds (a region's box counts when it lies entirely
+// inside), each once, newest first
+function findMessagesInRegion(dataset, bounds) {
+  const messages = new Set();
+  findLocationsInBounds(dataset, bounds).forEach(entry => {
+    entry.messages.forEach(msg => messages.add(msg));
+  });
+  return [...messages].sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+// Messages with a location inside the area, as a Set for passesEventsFilters' areaMessages
+function findMessagesInArea(dataset, area) {
+  const messages = new Set();
+  findLocationsInArea(dataset, area).forEach(entry => {
+    entry.messages.forEach(msg => messages.add(msg));
+  });
+  return messages;
+}
+
+// Messages mentioning a place (a location cache key) under any of its spellings, newest first
+function getLocationMessages(dataset, key) {
+  const entry = dataset.spatialIndex.entries.get(key);
+  const messages = entry
+    ? [...new Set(entry.messages)] // a message naming a place twice is in its entry twice
+    : dataset.messages.filter(msg => (msg.locations || []).some(location =>
+      location && typeof location === 'string' && resolveDatasetLocation(dataset, location).key === key));
+  return messages.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+// The spelling messages use most for a place, so keys don't show up lowercased
+function getLocationDisplayName(dataset, key, messages) {
+  const spellings = new Map();
+  messages.forEach(msg => (msg.locations || []).forEach(location => {
+    if (!location || typeof location !== 'string' || resolveDatasetLocation(dataset, location).key !== key) return;
+    const spelling = location.trim();
+    spellings.set(spelling, (spellings.get(spelling) || 0) + 1);
+  }));
+  const [top] = [...spellings.entries()].sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : key;
+}
+
+// Other mentioned places whose centers are within radius meters of a place's center,
+// nearest first: [{ entry, distance }] with entry as in the spatial index
+function findNearbyLocations(dataset, key, radius, limit) {
+  const entry = dataset.spatialIndex.entries.get(key);
+  if (!entry) return [];
+
+  const center = getBoundsCenter(entry.bounds);
+  const search = createCircleArea('', center, radius).bounds;
+  return querySpatialIndex(dataset.spatialIndex, search)
+    .filter(candidate => candidate.key !== key)
+    .map(candidate => ({ entry: candidate, distance: getDistanceMeters(center, getBoundsCenter(candidate.bounds)) }))
+    .filter(({ distance }) => distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+}
+
+// What the dashboard charts for a list of messages. unit is 'auto', 'hour' or 'day' (see
+// getDashboardUnit); channels, if given, orders the per-channel series, which leave out channels
+// without messages. Returns { unit, buckets, volume, channelSeries, channels, topLocations, geocoding }
+// where volume holds the counts per bucket and channelSeries is [{ key, counts }].
+function aggregateMessages(dataset, messages, { unit = 'auto', channels = null } = {}) {
+  const resolve = name => resolveDatasetLocation(dataset, name);
+  const channelCounts = getChannelCounts(messages);
+  const present = new Set(channelCounts.map(({ channel }) => channel));
+  const seriesChannels = channels
+    ? channels.filter(channel => present.has(channel))
+    : channelCounts.map(({ channel }) => channel);
+
+  const resolvedUnit = getDashboardUnit(messages, unit);
+  const buckets = getDashboardBuckets(messages, resolvedUnit);
+  const [volume] = countMessagesByBucket(messages, buckets);
+  return {
+    unit: resolvedUnit,
+    buckets,
+    volume: volume.counts,
+    channelSeries: countMessagesByBucket(messages, buckets, seriesChannels),
+    channels: channelCounts,
+    topLocations: getTopLocations(messages, resolve),
+    geocoding: getGeocodingShare(messages, resolve)
+  };
+}
+
+function isLocationInBounds(coord, bounds) {
+  // Handle point coordinates (individual markers)
+  if (coord.lat !== undefined && coord.lon !== undefined) {
+    return coord.lat >= bounds.south && coord.lat <= bounds.north &&
+      coord.lon >= bounds.west && coord.lon <= bounds.east;
+  }
+
+  // Handle bounding box coordinates (sub-regions) - STRICT containment only:
+  // a sub-region must be entirely inside, not just overlapping
+  if (coord.north !== undefined && coord.south !== undefined &&
+      coord.east !== undefined && coord.west !== undefined) {
+    return coord.south >= bounds.south && coord.north <= bounds.north &&
+      coord.west >= bounds.west && coord.east <= bounds.east;
+  }
+
+  console.warn('Invalid coordinate format:', coord);
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// Spatial index: uniform grid over geocoded locations for area queries.
+// Entries are { key, coord, bounds, messages }, one per location cache key.
+// ---------------------------------------------------------------------------
+
+function createSpatialIndex() {
+  return {
+    entries: new Map(), // location key -> entry
+    cells: new Map(), // "row,col" -> Set of location keys
+    oversized: new Set() // location keys too large to grid
+  };
+}
+
+// Bounding box of a cached coordinate (a point is a zero-size box), or null if unusable
+function getCoordBounds(coord) {
+  if (coord.lat !== undefined && coord.lon !== undefined) {
+    return { north: coord.lat, south: coord.lat, east: coord.lon, west: coord.lon };
+  }
+  if (coord.north !== undefined && coord.south !== undefined &&
+      coord.east !== undefined && coord.west !== undefined) {
+    return { north: coord.north, south: coord.south, east: coord.east, west: coord.west };
+  }
+  return null;
+}
+
+function getBoundsCenter(bounds) {
+  return { lat: (bounds.north + bounds.south) / 2, lon: (bounds.east + bounds.west) / 2 };
+}
+
+// Grid cell ranges covered by a bounding box
+function getCellRange(bounds) {
+  return {
+    minRow: Math.floor(bounds.south / SPATIAL_INDEX_CELL_DEG),
+    maxRow: Math.floor(bounds.north / SPATIAL_INDEX_CELL_DEG),
+    minCol: Math.floor(bounds.west / SPATIAL_INDEX_CELL_DEG),
+    maxCol: Math.floor(bounds.east / SPATIAL_INDEX_CELL_DEG)
+  };
+}
+
+// resolve(name) returns { key, coord } as resolveLocationName does
+function addToSpatialIndex(index, messages, resolve) {
+  messages.forEach(msg => {
+    (msg.locations || []).forEach(location => {
+      if (!location || typeof location !== 'string') return;
+      // Spellings of one place share an entry
+      const { key: locationKey, coord } = resolve(location);
+      if (!coord) return;
+
+      let entry = index.entries.get(locationKey);
+      if (!entry) {
+        const bounds = getCoordBounds(coord);
+        if (!bounds) return;
+        entry = { key: locationKey, coord, bounds, messages: [] };
+        index.entries.set(locationKey, entry);
+        insertIntoGrid(index, entry);
+      }
+      entry.messages.push(msg);
+    });
+  });
+}
+
+function insertIntoGrid(index, entry) {
+  const { minRow, maxRow, minCol, maxCol } = getCellRange(entry.bounds);
+  if ((maxRow - minRow + 1) * (maxCol - minCol + 1) > SPATIAL_INDEX_MAX_CELLS) {
+    index.oversized.add(entry.key);
+    return;
+  }
+
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      const cellKey = `${row},${col}`;
+      if (!index.cells.has(cellKey)) index.cells.set(cellKey, new Set());
+      index.cells.get(cellKey).add(entry.key);
+    }
+  }
+}
+
+// Index entries whose boxes might intersect the bounds (callers do the exact test)
+function querySpatialIndex(index, bounds) {
+  const candidates = new Set(index.oversized);
+  const { minRow, maxRow, minCol, maxCol } = getCellRange(bounds);
+  const queryCellCount = (maxRow - minRow + 1) * (maxCol - minCol + 1);
+
+  if (queryCellCount > index.cells.size) {
+    // Huge query area: walking the occupied cells is cheaper than walking the grid
+    index.cells.forEach((keys, cellKey) => {
+      const [row, col] = cellKey.split(',').map(Number);
+      if (row >= minRow && row <= maxRow && col >= minCol && col <= maxCol) {
+        keys.forEach(key => candidates.add(key));
+      }
+    });
+  } else {
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const keys = index.cells.get(`${row},${col}`);
+        if (keys) keys.forEach(key => candidates.add(key));
+      }
+    }
+  }
+
+  return Array.from(candidates).map(key => index.entries.get(key));
+}
+
+// Index entries for locations contained in the bounds (same rules as isLocationInBounds)
+function findLocationsInBounds(dataset, bounds) {
+  return querySpatialIndex(dataset.spatialIndex, bounds).filter(entry => isLocationInBounds(entry.coord, bounds));
+}
+
+// Index entries for locations inside the area
+function findLocationsInArea(dataset, area) {
+  return findLocationsInBounds(dataset, area.bounds).filter(entry => isBoundsInArea(entry.bounds, area));
+}
+
+// ---------------------------------------------------------------------------
+// Areas: a region's box or a shape drawn on the map, used for area queries and the area filter.
+//   { name, shape: 'rectangle' | 'polygon' | 'circle', bounds, points?, center?, radius? }
+// points are [lat, lon] pairs, center is { lat, lon } and radius is in meters; bounds is
+// always the bounding box, so the spatial index can narrow the search before the exact test.
+// ---------------------------------------------------------------------------
+
+function createRectangleArea(name, bounds) {
+  const { north, south, east, west } = bounds;
+  return { name, shape: 'rectangle', bounds: { north, south, east, west } };
+}
+
+function createPolygonArea(name, points) {
+  const lats = points.map(([lat]) => lat);
+  const lons = points.map(([, lon]) => lon);
+  return {
+    name,
+    shape: 'polygon',
+    points: points.map(([lat, lon]) => [lat, lon]),
+    bounds: { north: Math.max(...lats), south: Math.min(...lats), east: Math.max(...lons), west: Math.min(...lons) }
+  };
+}
+
+function createCircleArea(name, center, radius) {
+  const latDelta = (radius / EARTH_RADIUS_M) * 180 / Math.PI;
+  const lonDelta = latDelta / Math.max(Math.cos(center.lat * Math.PI / 180), 1e-6);
+  return {
+    name,
+    shape: 'circle',
+    center: { lat: center.lat, lon: center.lon },
+    radius,
+    bounds: { north: center.lat + latDelta, south: center.lat - latDelta, east: center.lon + lonDelta, west: center.lon - lonDelta }
+  };
+}
+
+// Great-circle distance in meters
+function getDistanceMeters(a, b) {
+  const toRad = degrees => degrees * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Ray casting; the shapes are small enough to treat lat/lon as planar
+function isPointInPolygon(lat, lon, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [latI, lonI] = points[i];
+    const [latJ, lonJ] = points[j];
+    if ((latI > lat) !== (latJ > lat) && lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Whether a location's box lies inside the area; like regions, a box only counts when it's
+// entirely inside (judged by its corners, which is exact for circles and convex polygons)
+function isBoundsInArea(bounds, area) {
+  const corners = [
+    { lat: bounds.south, lon: bounds.west },
+    { lat: bounds.south, lon: bounds.east },
+    { lat: bounds.north, lon: bounds.east },
+    { lat: bounds.north, lon: bounds.west }
+  ];
+  if (area.shape === 'circle') {
+    return corners.every(corner => getDistanceMeters(area.center, corner) <= area.radius);
+  }
+  if (area.shape === 'polygon') {
+    return corners.every(corner => isPointInPolygon(corner.lat, corner.lon, area.points));
+  }
+  return true; // rectangles are their bounds
+}
@@ -0,0 +1,220 @@
+// Dashboard: aggregates of a message list and the SVG/HTML charts that show them.
+// Free of DOM and Leaflet like search.js, but the charts escape names with escapeHtml, so render.js
+// has to be loaded first. The page supplies resolveLocation and channel colors, puts the markup in
+// place and handles clicks on the data-action attributes it carries.
+// Time buckets are hours or days in the display time zone (time.js), like the days of the date filter.
+
+const DASHBOARD_HOUR_MS = 60 * 60 * 1000;
+const DASHBOARD_DAY_MS = 24 * DASHBOARD_HOUR_MS;
+const DASHBOARD_AUTO_HOURLY_SPAN_MS = 3 * DASHBOARD_DAY_MS; // longer spans are charted per day
+const DASHBOARD_MAX_BUCKETS = 400; // more bars than this are unreadable, so hours fall back to days
+const DASHBOARD_TOP_LOCATIONS = 10;
+const DASHBOARD_CHART_WIDTH = 800;
+const DASHBOARD_CHART_HEIGHT = 220;
+const DASHBOARD_CHART_PADDING = { top: 12, right: 8, bottom: 28, left: 36 };
+
+// 'hour' or 'day' for a requested unit ('auto', 'hour' or 'day') and the messages' time span
+function getDashboardUnit(messages, requested) {
+  const range = getTimeRange(messages.map(msg => msg.date));
+  if (!range) return requested === 'hour' ? 'hour' : 'day';
+
+  const span = range.last - range.first;
+  if (span / DASHBOARD_HOUR_MS >= DASHBOARD_MAX_BUCKETS) return 'day';
+  if (requested === 'auto') return span <= DASHBOARD_AUTO_HOURLY_SPAN_MS ? 'hour' : 'day';
+  return requested;
+}
+
+// Consecutive buckets from the first message to the last, empty ones included:
+// [{ start, day, hour, label }] with start in ms, day the YYYY-MM-DD it falls on in the display
+// zone and hour (hourly buckets only) its hour there. Days and hours follow the zone's clock, so
+// a bucket may be an hour longer or shorter when the clocks change.
+function getDashboardBuckets(messages, unit) {
+  const range = getTimeRange(messages.map(msg => msg.date));
+  if (!range) return [];
+
+  const { first, last } = range;
+  const buckets = [];
+  if (unit === 'hour') {
+    // Hours of the zone's clock, taken one by one like days so they stay on the hour when the
+    // offset changes: the hour the clocks skip is left out and the one they repeat is 2 hours long
+    let day = getZonedDay(first);
+    let hour = getZonedParts(first).hour;
+    for (let start = getHourStart(day, hour); start <= last; start = getHourStart(day, hour)) {
+      if (buckets.length === 0 || start > buckets[buckets.length - 1].start) {
+        buckets.push({ start, day, hour, label: `${day.slice(5)} ${String(hour).padStart(2, '0')}h` });
+      }
+      hour++;
+      if (hour === 24) {
+        day = addDays(day, 1);
+        hour = 0;
+      }
+    }
+  } else {
+    const lastDay = getZonedDay(last);
+    for (let day = getZonedDay(first); day <= lastDay; day = addDays(day, 1)) {
+      buckets.push({ start: getDayStart(day), day, label: day.slice(5) });
+    }
+  }
+  return buckets;
+}
+
+// Per-bucket message counts: one series for all messages, or one per channel if channels are given.
+// Returns [{ key, counts }] with counts aligned to buckets; channels come in the given order.
+function countMessagesByBucket(messages, buckets, channels = null) {
+  const keys = channels || [null];
+  const series = new Map(keys.map(key => [key, new Array(buckets.length).fill(0)]));
+
+  messages.forEach(msg => {
+    const time = Date.parse(msg.date);
+    if (!Number.isFinite(time) || buckets.length === 0 || time < buckets[0].start) return;
+
+    // The last bucket starting at or before the message
+    let low = 0;
+    let high = buckets.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (buckets[middle].start <= time) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    const counts = series.get(channels ? msg.channel : null);
+    if (counts) counts[low]++;
+  });
+
+  return keys.map(key => ({ key, counts: series.get(key) }));
+}
+
+// Most mentioned places: [{ key, name, spellings, count }] counting each message once per place.
+// resolve(name) returns { key, coord } as resolveLocationName does; spellings are the names as
+// written that resolved to the place, most used first, and name is the first of them.
+function getTopLocations(messages, resolve, limit = DASHBOARD_TOP_LOCATIONS) {
+  const places = new Map();
+  messages.forEach(msg => {
+    const seen = new Set();
+    (msg.locations || []).forEach(location => {
+      if (!location || typeof location !== 'string') return;
+      const { key, coord } = resolve(location);
+      if (!coord || seen.has(key)) return;
+      seen.add(key);
+
+      if (!places.has(key)) places.set(key, { key, count: 0, spellings: new Map() });
+      const place = places.get(key);
+      place.count++;
+      const spelling = location.trim();
+      place.spellings.set(spelling, (place.spellings.get(spelling) || 0) + 1);
+    });
+  });
+
+  return [...places.values()]
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+    .slice(0, limit)
+    .map(({ key, count, spellings }) => {
+      const names = [...spellings.entries()].sort((a, b) => b[1] - a[1]).map(([spelling]) => spelling);
+      return { key, count, name: names[0], spellings: names };
+    });
+}
+
+// How many messages have at least one location the map can place: { geocoded, total }
+function getGeocodingShare(messages, resolve) {
+  const geocoded = messages.filter(msg =>
+    (msg.locations || []).some(location => location && typeof location === 'string' && resolve(location).coord)
+  ).length;
+  return { geocoded, total: messages.length };
+}
+
+// Stacked bars over the buckets. series is [{ key, name, color, counts }]; every bar segment
+// carries data-action="dashboard-drill" with its day and (for named series) channel. The date
+// filter takes whole days, so an hour's bar says that it opens the whole of its day.
+function renderBarChartSvg(buckets, series) {
+  const { top, right, bottom, left } = DASHBOARD_CHART_PADDING;
+  const plotWidth = DASHBOARD_CHART_WIDTH - left - right;
+  const plotHeight = DASHBOARD_CHART_HEIGHT - top - bottom;
+  const totals = buckets.map((bucket, i) => series.reduce((sum, { counts }) => sum + counts[i], 0));
+  const max = Math.max(1, ...totals);
+  const slot = plotWidth / Math.max(1, buckets.length);
+  const barWidth = Math.max(1, slot * 0.8);
+  const labelEvery = Math.max(1, Math.ceil(buckets.length / 10));
+
+  const bars = buckets.map((bucket, i) => {
+    const x = left + i * slot + (slot - barWidth) / 2;
+    let y = top + plotHeight;
+    const segments = series.map(({ key, name, color, counts }) => {
+      if (counts[i] === 0) return '';
+      const height = (counts[i] / max) * plotHeight;
+      y -= height;
+      const title = `${bucket.label}${name ? ` · ${name}` : ''}: ${counts[i]} message${counts[i] === 1 ? '' : 's'}` +
+        (bucket.hour === undefined ? '' : ` (click to show all of ${bucket.day.slice(5)})`);
+      return `<rect class="dashboard-bar" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}" fill="${color}" data-action="dashboard-drill" data-day="${bucket.day}"${key ? ` data-channel="${escapeHtml(key)}"` : ''}><title>${escapeHtml(title)}</title></rect>`;
+    }).join('');
+    const label = i % labelEvery === 0
+      ? `<text class="dashboard-axis-label" x="${(left + i * slot + slot / 2).toFixed(1)}" y="${DASHBOARD_CHART_HEIGHT - 8}" text-anchor="middle">${bucket.label}</text>`
+      : '';
+    return segments + label;
+  }).join('');
+
+  return `
+    <svg class="dashboard-chart" viewBox="0 0 ${DASHBOARD_CHART_WIDTH} ${DASHBOARD_CHART_HEIGHT}" role="img">
+      <line class="dashboard-axis" x1="${left}" y1="${top + plotHeight}" x2="${left + plotWidth}" y2="${top + plotHeight}" />
+      <text class="dashboard-axis-label" x="${left - 6}" y="${top + 4}" text-anchor="end">${max}</text>
+      <text class="dashboard-axis-label" x="${left - 6}" y="${top + plotHeight}" text-anchor="end">0</text>
+      ${bars}
+    </svg>
+  `;
+}
+
+// Ring showing the geocoded share, with the percentage in the middle
+function renderShareDonutSvg({ geocoded, total }) {
+  const radius = 52;
+  const circumference = 2 * Math.PI * radius;
+  const share = total === 0 ? 0 : geocoded / total;
+  return `
+    <svg class="dashboard-donut" viewBox="0 0 140 140" role="img">
+      <circle cx="70" cy="70" r="${radius}" fill="none" stroke="#e5e7eb" stroke-width="16" />
+      <circle cx="70" cy="70" r="${radius}" fill="none" stroke="#10b981" stroke-width="16"
+        stroke-dasharray="${(share * circumference).toFixed(1)} ${circumference.toFixed(1)}" transform="rotate(-90 70 70)" />
+      <text x="70" y="76" text-anchor="middle" class="dashboard-donut-label">${Math.round(share * 100)}%</text>
+    </svg>
+  `;
+}
+
+// Horizontal bars for the top locations; each row drills into the place's messages
+function renderTopLocationsHtml(locations) {
+  if (locations.length === 0) return '<p class="dashboard-empty">No geocoded locations in these messages.</p>';
+  const max = locations[0].count;
+  return locations.map(({ name, spellings, count }) => `
+    <div class="dashboard-bar-row" data-action="dashboard-location" data-spellings="${escapeHtml(spellings.join('\n'))}" title="Show these messages in the timeline">
+      <span class="dashboard-bar-label">${escapeHtml(name)}</span>
+      <span class="dashboard-bar-track"><span class="dashboard-bar-fill" style="width: ${((count / max) * 100).toFixed(1)}%;"></span></span>
+      <span class="dashboard-bar-count">${count}</span>
+    </div>
+  `).join('');
+}
+
+// Messages per channel, most active first: [{ channel, count }]
+function getChannelCounts(messages) {
+  const counts = new Map();
+  messages.forEach(msg => counts.set(msg.channel, (counts.get(msg.channel) || 0) + 1));
+  return [...counts.entries()]
+    .map(([channel, count]) => ({ channel, count }))
+    .sort((a, b) => b.count - a.count || String(a.channel).localeCompare(String(b.channel)));
+}
+
+// Small line chart of counts, such as a place's mentions per day
+function renderSparklineSvg(counts, width = 300, height = 48) {
+  const max = Math.max(1, ...counts);
+  const step = counts.length > 1 ? width / (counts.length - 1) : 0;
+  const points = counts.map((count, i) => {
+    const x = counts.length > 1 ? i * step : width / 2;
+    const y = height - 2 - (count / max) * (height - 4);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  const area = `0,${height} ${points.join(' ')} ${counts.length > 1 ? width : width / 2},${height}`;
+  return `
+    <svg class="dashboard-sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img">
+      <polygon points="${area}" fill="rgba(99, 102, 241, 0.15)" />
+      <polyline points="${points.join(' ')}" fill="none" stroke="#6366f1" stroke-width="2" vector-effect="non-scaling-stroke" />
+    </svg>
+  `;
+}
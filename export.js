@@ -0,0 +1,190 @@
+// Export of filtered messages as CSV, JSON, GeoJSON and KML.
+// Builders only produce strings, so they stay free of DOM and Leaflet; the page
+// decides which messages to pass and handles the download.
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8', build: buildCsvExport },
+  json: { extension: 'json', mimeType: 'application/json', build: buildJsonExport },
+  geojson: { extension: 'geojson', mimeType: 'application/geo+json', build: buildGeoJsonExport },
+  kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: buildKmlExport }
+};
+
+// Each of a message's locations with what the location cache says about it:
+// { name, type: 'point', lat, lon }, { name, type: 'region', bounds } or { name, type: null }.
+// resolveLocation(name) returns { key, coord } for the cache entry a name stands for.
+function resolveExportLocations(msg, resolveLocation) {
+  return (msg.locations || []).filter(location => typeof location === 'string' && location.trim()).map(name => {
+    const { coord } = resolveLocation(name);
+    if (coord && coord.north !== undefined && coord.south !== undefined &&
+        coord.east !== undefined && coord.west !== undefined) {
+      return {
+        name,
+        type: 'region',
+        bounds: { north: coord.north, south: coord.south, east: coord.east, west: coord.west }
+      };
+    }
+    if (coord && coord.lat !== undefined && coord.lon !== undefined) {
+      return { name, type: 'point', lat: coord.lat, lon: coord.lon };
+    }
+    return { name, type: null };
+  });
+}
+
+// A single representative position: the point itself or the centre of a region
+function getExportPosition(resolved) {
+  if (resolved.type === 'point') return { lat: resolved.lat, lon: resolved.lon };
+  if (resolved.type === 'region') {
+    return {
+      lat: (resolved.bounds.north + resolved.bounds.south) / 2,
+      lon: (resolved.bounds.east + resolved.bounds.west) / 2
+    };
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// CSV: one row per message; latitude/longitude come from its first geocoded location
+// ---------------------------------------------------------------------------
+
+function buildCsvExport(messages, resolveLocation) {
+  const header = ['date', 'channel', 'text', 'cleaned_text', 'locations', 'resolved_locations', 'latitude', 'longitude'];
+
+  const rows = messages.map(msg => {
+    const resolved = resolveExportLocations(msg, resolveLocation);
+    const geocoded = resolved.filter(location => location.type);
+    const position = geocoded.length > 0 ? getExportPosition(geocoded[0]) : null;
+
+    const resolvedText = geocoded.map(location => location.type === 'point'
+      ? `${location.name}: ${location.lat},${location.lon}`
+      : `${location.name}: ${location.bounds.south},${location.bounds.west},${location.bounds.north},${location.bounds.east}`
+    ).join('; ');
+
+    return [
+      msg.date,
+      msg.channel,
+      msg.text,
+      msg.cleaned_text,
+      (msg.locations || []).join('; '),
+      resolvedText,
+      position ? position.lat : '',
+      position ? position.lon : ''
+    ];
+  });
+
+  // CRLF line endings, as spreadsheet tools expect
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Text starting with = + - @, a tab or a CR would open as a formula in spreadsheet tools, so it
+// gets a leading ' to stay text. Numbers such as negative longitudes are left as they are.
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ---------------------------------------------------------------------------
+// JSON: the messages as loaded, plus their resolved locations
+// ---------------------------------------------------------------------------
+
+function buildJsonExport(messages, resolveLocation) {
+  const exported = messages.map(msg => ({
+    ...msg,
+    resolved_locations: resolveExportLocations(msg, resolveLocation)
+  }));
+  return JSON.stringify(exported, null, 2);
+}
+
+// ---------------------------------------------------------------------------
+// GeoJSON: one feature per geocoded location of each message; points stay points
+// and regions become their bounding-box polygon
+// ---------------------------------------------------------------------------
+
+function buildGeoJsonExport(messages, resolveLocation) {
+  const features = [];
+
+  messages.forEach(msg => {
+    resolveExportLocations(msg, resolveLocation).forEach(location => {
+      if (!location.type) return;
+      features.push({
+        type: 'Feature',
+        geometry: location.type === 'point'
+          ? { type: 'Point', coordinates: [location.lon, location.lat] }
+          : { type: 'Polygon', coordinates: [getBoundsRing(location.bounds)] },
+        properties: {
+          location: location.name,
+          location_type: location.type,
+          date: msg.date,
+          channel: msg.channel,
+          text: msg.text,
+          cleaned_text: msg.cleaned_text,
+          locations: msg.locations || []
+        }
+      });
+    });
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+// Closed [lon, lat] ring around a bounding box, counter-clockwise as RFC 7946 asks
+function getBoundsRing(bounds) {
+  return [
+    [bounds.west, bounds.south],
+    [bounds.east, bounds.south],
+    [bounds.east, bounds.north],
+    [bounds.west, bounds.north],
+    [bounds.west, bounds.south]
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// KML: one placemark per geocoded location of each message, time-stamped so
+// Google Earth and QGIS can animate them
+// ---------------------------------------------------------------------------
+
+function buildKmlExport(messages, resolveLocation) {
+  const placemarks = [];
+
+  messages.forEach(msg => {
+    resolveExportLocations(msg, resolveLocation).forEach(location => {
+      if (!location.type) return;
+
+      const geometry = location.type === 'point'
+        ? `<Point><coordinates>${location.lon},${location.lat},0</coordinates></Point>`
+        : `<Polygon><outerBoundaryIs><LinearRing><coordinates>${getBoundsRing(location.bounds).map(([lon, lat]) => `${lon},${lat},0`).join(' ')}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+      const date = new Date(msg.date);
+
+      placemarks.push(`    <Placemark>
+      <name>${escapeXml(location.name)}</name>
+      <description>${escapeXml(msg.text)}</description>
+      ${isNaN(date) ? '' : `<TimeStamp><when>${date.toISOString()}</when></TimeStamp>`}
+      <ExtendedData>
+        <Data name="channel"><value>${escapeXml(msg.channel)}</value></Data>
+        <Data name="date"><value>${escapeXml(msg.date)}</value></Data>
+        <Data name="cleaned_text"><value>${escapeXml(msg.cleaned_text)}</value></Data>
+        <Data name="locations"><value>${escapeXml((msg.locations || []).join('; '))}</value></Data>
+      </ExtendedData>
+      ${geometry}
+    </Placemark>`);
+    });
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Messages export</name>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,212 @@
+// Location names: resolving the spellings in messages to location cache entries, the names
+// that still can't be placed, and locally made fixes for them.
+// Everything here works on plain data so it stays free of DOM and Leaflet; the page keeps the
+// fixes and aliases in localStorage and draws the workbench. Cache keys are trimmed, lowercased
+// names, and coordinates use the cache's own shapes: { lat, lon } or { north, south, east, west }.
+
+const GEOCODING_SUGGESTION_LIMIT = 3;
+const GEOCODING_SUGGESTION_MIN_SIMILARITY = 0.6;
+
+// Arabic article forms, dropped where they are written as an article: joined to the next word
+// ("Deir al-Balah" and "Deir Balah" are one place, as are "ash-Shati" and "Shati"), or al/el as
+// a word of its own ahead of another ("Al Mawasi", "Deir al Balah"). Standalone short words like
+// "as" or "en" are kept, since outside those forms they are as likely part of the name.
+const LOCATION_HYPHENATED_ARTICLE = /(^|[^\p{L}\p{N}])(?:al|el|il|ul|ad|ed|an|en|ar|er|as|es|ash|at|et|az|ez)['’ʼ‘-]+(?=\p{L})/gu;
+const LOCATION_SPACED_ARTICLE = /(^| )(?:al|el) +(?=\p{L})/gu;
+
+// Latin transliteration variants, rewritten in order to one spelling per token
+const LOCATION_SPELLING_VARIANTS = [
+  [/ou|oo/g, 'u'], // Younis / Yunis, Hanoun / Hanun
+  [/ee/g, 'i'],
+  [/([a-z])\1+/g, '$1'], // Shujaiyya / Shujaiya
+  [/([^aeiou])y(?=[aeiou])/g, '$1i'], // Jabalya / Jabalia
+  [/iy(?=[aeiou])/g, 'i'], // Lahiya / Lahia
+  [/(?:ay|ai|ei|ey)(?=[^aeiou])/g, 'e'], // Bayt / Beit, Nusairat / Nuseirat; only before a consonant
+  [/q/g, 'k'],
+  [/dj/g, 'j'],
+  [/([ae])h$/, '$1'] // Rafah / Rafa
+];
+
+// Names in other scripts that the spelling rules can't reach, mapped to a Latin name for the same place
+const DEFAULT_LOCATION_ALIASES = {
+  'غزة': 'gaza',
+  'رفح': 'rafah',
+  'خان يونس': 'khan younis',
+  'دير البلح': 'deir al-balah',
+  'جباليا': 'jabalia',
+  'بيت لاهيا': 'beit lahia',
+  'بيت حانون': 'beit hanoun',
+  'النصيرات': 'nuseirat',
+  'עזה': 'gaza',
+  'רפיח': 'rafah',
+  'חאן יונס': 'khan younis',
+  'דיר אל-בלח': 'deir al-balah',
+  'ג׳באליה': 'jabalia',
+  'בית להיא': 'beit lahia',
+  'בית חאנון': 'beit hanoun'
+};
+
+// Spelling-independent form of a name: no diacritics or vowel points, no punctuation, no
+// articles, and Latin transliteration variants folded together
+function getLocationSkeleton(name) {
+  const text = String(name ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f\u0591-\u05c7\u064b-\u065f\u0670]/g, '') // Latin accents, Hebrew points, Arabic harakat
+    .toLowerCase()
+    .trim()
+    .replace(LOCATION_HYPHENATED_ARTICLE, '$1')
+    .replace(LOCATION_SPACED_ARTICLE, '$1')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  if (!text) return '';
+
+  return text.split(' ')
+    .map(token => LOCATION_SPELLING_VARIANTS.reduce((value, [pattern, replacement]) => value.replace(pattern, replacement), token))
+    .join(' ');
+}
+
+// Lookup structure for resolveLocationName; rebuild it whenever the cache or the aliases change.
+// aliases maps a name as written to the name of the place it stands for.
+function buildLocationIndex(locationCache, aliases) {
+  const bySkeleton = new Map();
+  Object.keys(locationCache).sort().forEach(key => {
+    if (!locationCache[key]) return;
+    const skeleton = getLocationSkeleton(key);
+    if (skeleton && !bySkeleton.has(skeleton)) bySkeleton.set(skeleton, key);
+  });
+
+  const aliasTargets = new Map();
+  Object.entries(aliases).forEach(([alias, target]) => {
+    aliasTargets.set(getLocationSkeleton(alias), String(target).trim().toLowerCase());
+  });
+
+  return { locationCache, bySkeleton, aliasTargets, resolved: new Map() };
+}
+
+// Resolve a name as written to { key, coord }: key is the cache entry it matched (or the plain
+// lowercased name if none did) and coord what the cache holds there - coordinates, null when
+// geocoding failed, undefined when the cache doesn't know the name.
+// Order: the exact key, then an alias, then a cache entry spelled the same way up to variants.
+function resolveLocationName(index, name) {
+  const key = String(name ?? '').trim().toLowerCase();
+  if (index.resolved.has(key)) return index.resolved.get(key);
+
+  const { locationCache, bySkeleton, aliasTargets } = index;
+  let result = { key, coord: locationCache[key] };
+
+  if (!locationCache[key]) {
+    const skeleton = getLocationSkeleton(key);
+    const target = aliasTargets.get(skeleton);
+    const candidates = target
+      ? [target, bySkeleton.get(getLocationSkeleton(target)), bySkeleton.get(skeleton)]
+      : [bySkeleton.get(skeleton)];
+    const match = candidates.find(candidate => candidate && locationCache[candidate]);
+    if (match) result = { key: match, coord: locationCache[match] };
+  }
+
+  index.resolved.set(key, result);
+  return result;
+}
+
+// Location names in messages that can't be placed, most mentioned first:
+// [{ key, name, count, status: 'missing' | 'failed' }] where failed means the cache holds null.
+// resolve(name) returns { key, coord } as resolveLocationName does.
+function findGeocodingGaps(messages, resolve) {
+  const gaps = new Map();
+
+  messages.forEach(msg => {
+    const seen = new Set(); // count each message once per name
+    (msg.locations || []).forEach(location => {
+      if (!location || typeof location !== 'string') return;
+      const key = location.trim().toLowerCase();
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+
+      const { coord } = resolve(location);
+      if (coord) return;
+      if (!gaps.has(key)) {
+        gaps.set(key, {
+          key,
+          name: location.trim(),
+          count: 0,
+          status: coord === null ? 'failed' : 'missing'
+        });
+      }
+      gaps.get(key).count++;
+    });
+  });
+
+  return [...gaps.values()].sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+// Cache keys with coordinates that look like the same place: shared first words, as the
+// console diagnostics used to report, or a close spelling
+function suggestCacheKeys(key, locationCache, limit = GEOCODING_SUGGESTION_LIMIT) {
+  const firstWord = key.split(' ')[0];
+  const suggestions = [];
+
+  Object.keys(locationCache).forEach(candidate => {
+    if (candidate === key || !locationCache[candidate]) return;
+
+    let similarity = calculateSimilarity(key, candidate);
+    // Very short first words ("al", "el") would match half the cache
+    const candidateFirstWord = candidate.split(' ')[0];
+    if ((firstWord.length >= 3 && candidate.includes(firstWord)) ||
+        (candidateFirstWord.length >= 3 && key.includes(candidateFirstWord))) {
+      similarity = Math.max(similarity, GEOCODING_SUGGESTION_MIN_SIMILARITY);
+    }
+    if (similarity >= GEOCODING_SUGGESTION_MIN_SIMILARITY) {
+      suggestions.push({ key: candidate, similarity });
+    }
+  });
+
+  return suggestions
+    .sort((a, b) => b.similarity - a.similarity || a.key.localeCompare(b.key))
+    .slice(0, limit);
+}
+
+// An empty table keyed by place names, for the location cache and the fixes and aliases made
+// here. It has no prototype, so a name typed as "__proto__" or "constructor" is stored and read
+// like any other instead of reaching Object.prototype.
+function createNameTable() {
+  return Object.create(null);
+}
+
+// Overrides layered over the backend cache; the backend copy itself is left untouched
+function applyLocationOverrides(baseCache, overrides) {
+  return Object.assign(createNameTable(), baseCache, overrides);
+}
+
+// Keep only overrides with coordinates the map can use
+function sanitizeLocationOverrides(overrides) {
+  const sanitized = createNameTable();
+  Object.entries(overrides || {}).forEach(([key, coord]) => {
+    if (!coord || typeof coord !== 'object') return;
+    const isPoint = Number.isFinite(coord.lat) && Number.isFinite(coord.lon);
+    const isBox = ['north', 'south', 'east', 'west'].every(side => Number.isFinite(coord[side]));
+    if (!isPoint && !isBox) return;
+    sanitized[key.trim().toLowerCase()] = isPoint
+      ? { lat: coord.lat, lon: coord.lon }
+      : { north: coord.north, south: coord.south, east: coord.east, west: coord.west };
+  });
+  return sanitized;
+}
+
+// The overrides as a location_cache.json fragment the backend can merge in
+function buildCachePatch(overrides) {
+  const patch = createNameTable();
+  Object.keys(overrides).sort().forEach(key => {
+    patch[key] = overrides[key];
+  });
+  return JSON.stringify(patch, null, 2);
+}
+
+// Bounding box spanned by two opposite corners picked on the map
+function getBoxFromCorners(first, second) {
+  return {
+    north: Math.max(first.lat, second.lat),
+    south: Math.min(first.lat, second.lat),
+    east: Math.max(first.lon, second.lon),
+    west: Math.min(first.lon, second.lon)
+  };
+}
@@ -0,0 +1,71 @@
+// Safe rendering of message-derived content.
+// Message text, channel and location names come from scraped channels, so anything taken
+// from the data goes through these helpers before it reaches innerHTML or a Leaflet
+// popup/tooltip. Highlight ranges are { start, end, term, fuzzy } as produced by
+// findHighlightRanges in search.js.
+
+const LINK_PATTERN = /\bhttps?:\/\/[^\s<>"']+/gi;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Single-line values such as channel and location names
+function renderPlainText(text, ranges = []) {
+  const value = String(text ?? '');
+  return renderHighlightedSlice(value, 0, value.length, ranges, false);
+}
+
+// Message bodies: escaped, line breaks kept and http(s) links made clickable
+function renderMessageText(text, ranges = []) {
+  const value = String(text ?? '');
+  let html = '';
+  let position = 0;
+
+  for (const match of value.matchAll(LINK_PATTERN)) {
+    // Trailing punctuation usually ends the sentence rather than the URL
+    const url = match[0].replace(/[.,;:!?)\]]+$/, '');
+    const start = match.index;
+    const end = start + url.length;
+
+    html += renderHighlightedSlice(value, position, start, ranges, true);
+    html += `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${renderHighlightedSlice(value, start, end, ranges, false)}</a>`;
+    position = end;
+  }
+
+  return html + renderHighlightedSlice(value, position, value.length, ranges, true);
+}
+
+// Escape text[start, end), wrapping the parts covered by highlight ranges in <mark>
+function renderHighlightedSlice(text, start, end, ranges, lineBreaks) {
+  let html = '';
+  let position = start;
+
+  ranges.forEach(range => {
+    const from = Math.max(range.start, position);
+    const to = Math.min(range.end, end);
+    if (from >= to) return;
+
+    html += renderSlice(text.slice(position, from), lineBreaks);
+    if (range.fuzzy) {
+      const title = `~${range.term} matched "${text.slice(range.start, range.end)}"`;
+      html += `<mark class="search-hit fuzzy" title="${escapeHtml(title)}">`;
+    } else {
+      html += '<mark class="search-hit">';
+    }
+    html += `${renderSlice(text.slice(from, to), lineBreaks)}</mark>`;
+    position = to;
+  });
+
+  return html + renderSlice(text.slice(position, end), lineBreaks);
+}
+
+function renderSlice(text, lineBreaks) {
+  const escaped = escapeHtml(text);
+  return lineBreaks ? escaped.replace(/\r?\n/g, '<br>') : escaped;
+}
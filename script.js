@@ -1,19 +1,133 @@
 const DATA_URL = 'https://warfrontlivebackend.onrender.com/tagged_messages.json';
 const CACHE_URL = 'https://warfrontlivebackend.onrender.com/location_cache.json';
+const STREAM_URL = 'https://warfrontlivebackend.onrender.com/stream'; // server-sent events with new messages
+const LIVE_POLL_INTERVAL_MS = 60 * 1000; // polling fallback when the stream is unavailable
+const FIXTURE_DATA_URL = 'fixtures/tagged_messages.json'; // bundled demo dataset
+const FIXTURE_CACHE_URL = 'fixtures/location_cache.json';
+const DATA_SOURCE_STORAGE_KEY = 'warfront.dataSource';
+const LOCATION_OVERRIDES_STORAGE_KEY = 'warfront.locationOverrides'; // geocoding fixes made in the workbench
+const LOCATION_ALIASES_STORAGE_KEY = 'warfront.locationAliases'; // name spellings mapped to known places
+const SNAPSHOT_DB_NAME = 'warfront'; // IndexedDB holding the last good dataset per source
+const SNAPSHOT_STORE_NAME = 'snapshots';
+const SNAPSHOT_SAVE_DELAY_MS = 5000; // batch snapshot writes after live updates
 let map;
 let markerClusterGroup;
 let rectangleLayerGroup; // New layer group for rectangles (kept for backward compatibility)
 let regionMarkersGroup; // New layer group for region markers
+let heatLayer; // Message density heatmap (leaflet.heat)
+let bookmarkLayer; // starred and annotated messages, whatever the filters
+let heatmapMessages = []; // messages behind the current map view, for redrawing the heatmap
+const HEATMAP_HALF_LIFE_MS = 24 * 60 * 60 * 1000; // recency weighting: a day-old message counts half
+const HEATMAP_REGION_CELL_DEG = 0.02; // spacing of the sample grid that spreads a region's weight
+const HEATMAP_REGION_MAX_SAMPLES = 8; // per side, so a huge region costs at most 8x8 points
+
+// Channel colors, used for point markers, cluster pies, event cards and the legend.
+// Channels get palette entries in sorted order when data loads; later ones take the next free color.
+const CHANNEL_COLORS = ['#3b82f6', '#10b981', '#8b5cf6', '#f59e0b', '#ec4899', '#14b8a6', '#6366f1', '#84cc16', '#06b6d4', '#a855f7', '#64748b', '#eab308'];
+const channelColors = new Map(); // channel -> color, for every channel in the current data
 
 const messageStore = {};
 const regionStore = {}; // Store region data for quick lookup
+const regionIdsByKey = new Map(); // "name|north|south|east|west" -> regionId, so adding a location is O(1)
 let nextMsgId = 0;
 let nextRegionId = 0;
-let allMessages = [];  // store all messages loaded from file
-let locationCache = {}; // store location coordinates from cache.json
-let filteredEventsMessages = []; // for events view filtering
+let dataset = createDataset(); // messages, location cache and their indexes (core.js)
+let filteredMessages = []; // messages passing the shared filters, shown on the map and the timeline
 let currentView = 'map'; // track current view
+const VIEWS = ['map', 'events', 'dashboard'];
+
+// One filter model for every view; the filter bar is just its editor.
+// Dates are YYYY-MM-DD days in the display time zone (time.js) with the end day inclusive, '' meaning open-ended.
+// channels lists the channels to show; empty means all of them.
+// area is the region or drawn shape the user narrowed down to (see createRectangleArea), or null.
+// starredOnly and label narrow to the messages bookmarked that way (see annotations.js).
+const filterState = {
+  startDate: '',
+  endDate: '',
+  channels: [],
+  searchText: '',
+  area: null,
+  starredOnly: false,
+  label: ''
+};
 let currentSelectedRegion = null; // Track currently selected region
+let currentDetailsMessageKey = null; // message shown in the details panel, if it's a single message
+let currentProfileLocation = null; // location cache key of the place profile in the details panel
+let urlStateReady = false; // the URL is only written once the initial link has been applied
+let restoringUrlState = false; // set while applying the URL, so applying doesn't write it back
+let drawnAreaLayer; // the area on the map: a fresh drawing, or else the active area filter
+let drawnArea = null; // a drawn area not yet applied as a filter
+let drawingArea = false; // map clicks belong to the draw tool while it's active
+
+// Events filtering runs in search-worker.js when Workers are available
+const SEARCH_DEBOUNCE_MS = 250; // wait for a pause in typing before searching
+const PROGRESSIVE_RENDER_MS = 150; // minimum gap between re-renders of partial results
+let searchWorker = null;
+let eventsQueryId = 0;
+let pendingEventsQuery = null; // { id, criteria, matches, lastRender } while the worker is busy
+let searchFilterTimer = null;
+let localSearchIndex = null; // inverted index for ranking when there is no worker; built on first use
+const eventsScores = new Map(); // message -> relevance score for the current search
+let eventsRankedByRelevance = false; // whether filteredMessages is in relevance order
+const timelineMessagesByKey = new Map(); // messages on the rendered timeline, for its click handlers
+const TIMELINE_PAGE_SIZE = 100; // events rendered per infinite-scroll step
+let timelineRender = null; // { groups, total, groupIndex, offset, shown }: how far the timeline is rendered
+let timelineObserver = null; // loads more events as the end of the timeline scrolls into view
+const DETAILS_PAGE_SIZE = 20; // messages per "Show more" step in the details panel
+let detailsMessageList = null; // { messages, entries, renderItem, shown } behind the details panel's list
+let storyIndex = createStoryIndex(); // reposts of one report grouped into stories (stories.js)
+const expandedStories = new Set(); // ids of stories whose reposts are shown under the first report
+const timelineStoryEntries = new Map(); // story id -> its entry on the rendered timeline
+
+let dataSource = null; // where the current dataset came from: { type: 'remote' | 'fixture' | 'file', ... }
+let currentLoadId = 0; // bumped by every load so a slower, older one can tell it was superseded
+
+// Live update state
+const newMessageKeys = new Set(); // keys of live arrivals the user hasn't acknowledged yet
+let liveEventSource = null;
+let liveStreamOpened = false;
+let livePollTimer = null;
+let livePollInFlight = false;
+
+// Offline snapshot state
+let snapshotDbPromise = null;
+let snapshotSaveTimer = null;
+let showingSnapshotFrom = null; // savedAt of the snapshot on screen until the network catches up
+
+// Time-slider playback state (times are epoch milliseconds)
+// Geocoding workbench
+const GEOCODING_PANEL_MAX_ROWS = 50; // suggestions cost a similarity pass over the cache per row
+let locationOverrides = createNameTable(); // cache key -> coordinates assigned locally
+let locationAliases = createNameTable(); // name as written -> name of the place it stands for, edited in the workbench
+let geocodingPick = null; // { key, name, shape: 'point' | 'box', corner, cornerMarker } while placing a name on the map
+
+// Watchlists
+const WATCHLISTS_STORAGE_KEY = 'warfront.watchlists'; // watchlists with their hit history
+const WATCHLIST_INBOX_LIMIT = 50; // hits listed in the inbox, across all watchlists
+let watchlists = []; // see watchlists.js; areas are area objects here, link values in storage
+const expandedWatchlists = new Set(); // ids of watchlists showing their history in the panel
+let watchlistDraftArea = null; // the area the new-watchlist form offers to watch
+
+// Time zone the app shows and filters dates in (see time.js)
+const TIME_ZONE_STORAGE_KEY = 'warfront.timeZone';
+
+// Bookmarks and notes
+const ANNOTATIONS_STORAGE_KEY = 'warfront.annotations'; // stars, labels and notes on messages
+let annotations = createAnnotations(); // message key -> annotation (see annotations.js)
+
+const PLAYBACK_TICK_MS = 200;
+const playbackState = {
+  active: false,      // map shows a playback frame instead of the plain date filter
+  playing: false,
+  timer: null,
+  lastTick: null,
+  messages: [],       // date-filtered messages sorted oldest first
+  startTime: null,
+  endTime: null,
+  currentTime: null,
+  windowMs: 6 * 60 * 60 * 1000,
+  speed: 60 * 60 * 1000 // data time that passes per real second
+};
 
 document.addEventListener('DOMContentLoaded', initMap);
 
@@ -28,6 +142,7 @@ async function initMap() {
   markerClusterGroup = L.markerClusterGroup({
     disableClusteringAtZoom: 18, // Still allow clustering but disable at high zoom
     maxClusterRadius: 50, // Adjust cluster radius as needed
+    iconCreateFunction: createClusterIcon // pie of the channels inside
   });
   
   // Create layer group for rectangles (bounding boxes)
@@ -35,6 +150,15 @@ async function initMap() {
   
   // Create layer group for region markers
   regionMarkersGroup = L.layerGroup();
+
+  // Heatmap layer, hidden until toggled on
+  heatLayer = L.heatLayer([], {
+    radius: 25,
+    blur: 20,
+    maxZoom: 14
+  });
+
+  bookmarkLayer = L.layerGroup().addTo(map);
   
   // Add custom click handler for clusters
   markerClusterGroup.on('clusterclick', function(event) {
@@ -56,6 +180,13 @@ async function initMap() {
 
   // Add click handler to hide bounding box when clicking elsewhere on map
   map.on('click', function(e) {
+    // Placing a location from the geocoding workbench takes the click
+    if (geocodingPick) {
+      handleGeocodingPick(e.latlng);
+      return;
+    }
+    if (drawingArea) return;
+
     // Only hide if we didn't click on a marker
     if (!e.originalEvent.target.closest('.leaflet-marker-icon') && 
         !e.originalEvent.target.closest('.leaflet-popup')) {
@@ -65,180 +196,2089 @@ async function initMap() {
     }
   });
 
+  setupTimeZone();
+  setupAreaDrawing();
+  setupFilterListeners();
+  setupDataSourceControls();
+  setupGeocodingWorkbench();
+  setupWatchlists();
+  setupAnnotations();
+  setupContentActions();
+  setupExportControls();
+  setupTimelinePaging();
+  initSearchWorker();
+
+  await loadFromDataSource(resolveDataSource());
+  
+  // Restore the view a shared link describes, then keep the URL in step
+  setupUrlState();
+}
+
+// ---------------------------------------------------------------------------
+// Deep links: the working view state lives in the URL hash, e.g.
+//   #view=events&map=31.52,34.45,12&from=2025-03-14&to=2025-03-17&q=rafah&region=Gaza
+// Selecting things and switching views push history entries so back/forward
+// walk through them; filter edits and map moves just replace the current entry.
+// The old #location=<name> form still works.
+// ---------------------------------------------------------------------------
+
+// Current state as hash parameters; defaults are left out to keep links short
+function buildUrlState() {
+  const params = new URLSearchParams();
+
+  if (currentView !== 'map') params.set('view', currentView);
+
+  if (map) {
+    const center = map.getCenter();
+    params.set('map', `${center.lat.toFixed(4)},${center.lng.toFixed(4)},${map.getZoom()}`);
+  }
+
+  params.set('from', filterState.startDate);
+  params.set('to', filterState.endDate);
+  if (getDisplayTimeZone() !== 'local') params.set('tz', getDisplayTimeZone());
+
+  const layers = ['markers', 'regions', 'heatmap'].filter(layer => document.getElementById(`show-${layer}`).checked);
+  if (layers.join(',') !== 'markers,regions') params.set('layers', layers.join(','));
+  const heatmapIntensity = document.getElementById('heatmap-intensity').value;
+  if (heatmapIntensity !== 'count') params.set('heat', heatmapIntensity);
+
+  filterState.channels.forEach(channel => params.append('channel', channel));
+  if (filterState.searchText) params.set('q', filterState.searchText);
+  if (filterState.area) {
+    params.set('area', formatAreaValue(filterState.area));
+    params.set('areaname', filterState.area.name);
+  }
+  if (filterState.starredOnly) params.set('starred', '1');
+  if (filterState.label) params.set('label', filterState.label);
+  const sort = document.getElementById('events-sort').value;
+  if (sort !== 'date') params.set('sort', sort);
+  if (!isGroupingReposts()) params.set('reposts', 'all');
+
+  if (currentSelectedRegion && regionStore[currentSelectedRegion]) {
+    params.set('region', regionStore[currentSelectedRegion].name);
+  } else if (currentDetailsMessageKey) {
+    params.set('msg', currentDetailsMessageKey);
+  } else if (currentProfileLocation) {
+    params.set('place', currentProfileLocation);
+  }
+
+  return params;
+}
+
+// Write the current state to the URL. push adds a history entry (for navigation-like changes).
+function syncUrlState({ push = false } = {}) {
+  if (restoringUrlState || !urlStateReady) return;
+
+  const hash = buildUrlState().toString();
+  if (hash === window.location.hash.slice(1)) return;
+
+  const url = `${window.location.pathname}${window.location.search}#${hash}`;
+  if (push) {
+    history.pushState(null, '', url);
+  } else {
+    history.replaceState(null, '', url);
+  }
+}
+
+// Bring the page in line with the URL hash (on load and on back/forward)
+function applyUrlState() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  restoringUrlState = true;
+
   try {
-    // Add cache-busting parameter to prevent stale data
-    const cacheBuster = new Date().getTime();
-    
-    // Load both messages and location cache
-    const [messagesRes, cacheRes] = await Promise.all([
-      fetch(`${DATA_URL}?t=${cacheBuster}`),
-      fetch(`${CACHE_URL}?t=${cacheBuster}`)
-    ]);
-    
-    if (!messagesRes.ok) throw new Error('Failed to load messages: ' + messagesRes.statusText);
-    if (!cacheRes.ok) throw new Error('Failed to load cache: ' + cacheRes.statusText);
-    
-    allMessages = await messagesRes.json();
-    const rawLocationCache = await cacheRes.json();
-    
-    // Normalize location cache keys to lowercase for consistent lookup
-    locationCache = {};
-    Object.keys(rawLocationCache).forEach(key => {
-      const normalizedKey = key.trim().toLowerCase();
-      locationCache[normalizedKey] = rawLocationCache[key];
-      console.log(`Normalizing cache key: "${key}" -> "${normalizedKey}"`);
-    });
-    
-    console.log('Final location cache keys:', Object.keys(locationCache));
-    
-    // Debug: Log data info to console
-    console.log(`Loaded ${allMessages.length} messages`);
-    console.log(`Loaded ${Object.keys(locationCache).length} cached locations`);
-    console.log('Sample message:', allMessages[0]);
-    console.log('Sample cache entry:', Object.entries(locationCache)[0]);
-    console.log('All location cache keys (first 20):', Object.keys(locationCache).slice(0, 20));
-    
-    // Debug: Show what locations are mentioned in messages vs what's in cache
-    const allMessageLocations = new Set();
-    allMessages.forEach(msg => {
-      if (msg.locations) {
-        msg.locations.forEach(loc => {
-          allMessageLocations.add(loc.trim().toLowerCase());
-        });
+    const view = VIEWS.includes(params.get('view')) ? params.get('view') : 'map';
+    if (view !== currentView) toggleView(view);
+
+    // The time zone first, as it gives the dates their meaning; links without one keep the current zone
+    const timeZoneChanged = params.has('tz') && setTimeZone(params.get('tz'));
+
+    // Filters; links always carry from/to, so a missing one keeps the default range
+    const filters = {
+      startDate: params.has('from') ? params.get('from') : filterState.startDate,
+      endDate: params.has('to') ? params.get('to') : filterState.endDate,
+      channels: params.getAll('channel').filter(Boolean),
+      searchText: params.get('q') || '',
+      area: parseAreaParam(params.get('area'), params.get('areaname')),
+      starredOnly: params.get('starred') === '1',
+      label: params.get('label') || ''
+    };
+    const filtersChanged = ['startDate', 'endDate', 'searchText', 'starredOnly', 'label'].some(key => filters[key] !== filterState[key]) ||
+      filters.channels.join('\n') !== filterState.channels.join('\n') ||
+      formatAreaParam(filters.area) !== formatAreaParam(filterState.area);
+    const sortChanged = setInputValue('events-sort', params.get('sort') || 'date');
+    if (filtersChanged || sortChanged || timeZoneChanged) {
+      Object.assign(filterState, filters);
+      renderFilterBar();
+      runFilters();
+    }
+    if (timeZoneChanged) refreshTimeZoneViews();
+
+    const groupReposts = params.get('reposts') !== 'all';
+    if (isGroupingReposts() !== groupReposts) {
+      document.getElementById('group-reposts').checked = groupReposts;
+      refreshStoryGrouping();
+    }
+
+    // Map layers
+    const layers = (params.has('layers') ? params.get('layers') : 'markers,regions').split(',');
+    let layersChanged = false;
+    ['markers', 'regions', 'heatmap'].forEach(layer => {
+      const checkbox = document.getElementById(`show-${layer}`);
+      if (checkbox.checked !== layers.includes(layer)) {
+        checkbox.checked = layers.includes(layer);
+        layersChanged = true;
       }
     });
-    console.log('Unique locations mentioned in messages (first 20):', Array.from(allMessageLocations).slice(0, 20));
-    console.log('Cache keys (first 20):', Object.keys(locationCache).slice(0, 20));
-    
-    // Find which message locations have cache matches
-    const matchedLocations = [];
-    const unmatchedLocations = [];
-    allMessageLocations.forEach(msgLoc => {
-      if (locationCache[msgLoc]) {
-        matchedLocations.push(msgLoc);
-      } else {
-        unmatchedLocations.push(msgLoc);
+    const heatModeChanged = setInputValue('heatmap-intensity', params.get('heat') || 'count');
+    if (layersChanged) {
+      onLayerToggle();
+    } else if (heatModeChanged) {
+      updateHeatmap();
+    }
+
+    // Selection, then the exact map view (selecting a region zooms to it)
+    const regionName = params.get('region');
+    const messageKey = params.get('msg');
+    const place = params.get('place');
+    if (regionName) {
+      const regionId = Object.keys(regionStore).find(id => regionStore[id].name === regionName);
+      if (regionId && regionId !== currentSelectedRegion) showRegionDetails(regionId);
+    } else if (messageKey) {
+      const msgId = Object.keys(messageStore).find(id => getMessageKey(messageStore[id]) === messageKey);
+      if (msgId && messageKey !== currentDetailsMessageKey) showDetailsFromStore(msgId);
+    } else if (place) {
+      if (place !== currentProfileLocation) showLocationProfile(place);
+    } else if (document.getElementById('details').style.display === 'block') {
+      closeDetails();
+    }
+
+    const mapView = (params.get('map') || '').split(',').map(Number);
+    if (mapView.length === 3 && mapView.every(Number.isFinite)) {
+      map.setView([mapView[0], mapView[1]], mapView[2], { animate: false });
+    }
+
+    // Links from before the full state was encoded
+    if (params.has('location')) {
+      goToLocation(params.get('location'));
+    }
+  } finally {
+    restoringUrlState = false;
+  }
+}
+
+// Area bounds as "south,west,north,east"
+function formatAreaBounds(bounds) {
+  return [bounds.south, bounds.west, bounds.north, bounds.east].map(value => Number(value.toFixed(5))).join(',');
+}
+
+// The area link parameter: rectangles as their bounds, other shapes prefixed with their kind,
+// e.g. "circle:31.5,34.45,2500" (radius in meters) or "polygon:31.5,34.4;31.6,34.5;31.5,34.5"
+function formatAreaValue(area) {
+  const round = value => Number(value.toFixed(5));
+  if (area.shape === 'circle') {
+    return `circle:${round(area.center.lat)},${round(area.center.lon)},${Math.round(area.radius)}`;
+  }
+  if (area.shape === 'polygon') {
+    return `polygon:${area.points.map(([lat, lon]) => `${round(lat)},${round(lon)}`).join(';')}`;
+  }
+  return formatAreaBounds(area.bounds);
+}
+
+function formatAreaParam(area) {
+  return area ? `${area.name}|${formatAreaValue(area)}` : '';
+}
+
+// The area filter from its link parameters, or null if absent or malformed
+function parseAreaParam(value, name) {
+  const areaName = name || 'Selected area';
+  const [, shape, coords] = /^(?:(circle|polygon):)?(.*)$/.exec(value || '');
+
+  if (shape === 'circle') {
+    const parts = coords.split(',').map(Number);
+    if (parts.length !== 3 || !parts.every(Number.isFinite) || parts[2] <= 0) return null;
+    return createCircleArea(areaName, { lat: parts[0], lon: parts[1] }, parts[2]);
+  }
+  if (shape === 'polygon') {
+    const points = coords.split(';').map(pair => pair.split(',').map(Number));
+    if (points.length < 3 || !points.every(point => point.length === 2 && point.every(Number.isFinite))) return null;
+    return createPolygonArea(areaName, points);
+  }
+
+  const parts = coords.split(',').map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+  const [south, west, north, east] = parts;
+  return createRectangleArea(areaName, { north, south, east, west });
+}
+
+// Set an input if it differs; returns whether it changed
+function setInputValue(id, value) {
+  const input = document.getElementById(id);
+  if (input.value === value) return false;
+  input.value = value;
+  return true;
+}
+
+function setupUrlState() {
+  map.on('moveend', () => syncUrlState());
+  window.addEventListener('popstate', () => {
+    applyUrlState();
+    syncUrlState(); // tidy up hand-edited or legacy hashes
+  });
+
+  applyUrlState();
+  urlStateReady = true;
+  syncUrlState();
+}
+
+// ---------------------------------------------------------------------------
+// Data sources: remote backend (configurable URLs), bundled fixtures, local files
+// ---------------------------------------------------------------------------
+
+function getDefaultDataSource() {
+  return { type: 'remote', dataUrl: DATA_URL, cacheUrl: CACHE_URL, streamUrl: STREAM_URL };
+}
+
+function getFixtureDataSource() {
+  return { type: 'fixture', dataUrl: FIXTURE_DATA_URL, cacheUrl: FIXTURE_CACHE_URL, streamUrl: '' };
+}
+
+// Query string (?source=demo or ?data=&cache=&stream=) wins over saved settings, which win over defaults
+function resolveDataSource() {
+  const params = new URLSearchParams(window.location.search);
+
+  if (params.get('source') === 'demo') {
+    return getFixtureDataSource();
+  }
+
+  if (params.has('data') || params.has('cache')) {
+    const defaults = getDefaultDataSource();
+    return {
+      type: 'remote',
+      dataUrl: params.get('data') || defaults.dataUrl,
+      cacheUrl: params.get('cache') || defaults.cacheUrl,
+      // Without an explicit stream we only poll, since the default stream belongs to the default backend
+      streamUrl: params.get('stream') || ''
+    };
+  }
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(DATA_SOURCE_STORAGE_KEY));
+    if (saved && saved.type === 'fixture') return getFixtureDataSource();
+    if (saved && saved.type === 'remote' && saved.dataUrl && saved.cacheUrl) {
+      return { type: 'remote', dataUrl: saved.dataUrl, cacheUrl: saved.cacheUrl, streamUrl: saved.streamUrl || '' };
+    }
+  } catch (err) {
+    console.warn('Ignoring unreadable saved data source:', err);
+  }
+
+  return getDefaultDataSource();
+}
+
+function saveDataSource(source) {
+  if (source.type === 'file') return; // files can't be reopened on the next visit
+  localStorage.setItem(DATA_SOURCE_STORAGE_KEY, JSON.stringify(source));
+}
+
+// Append a cache-busting parameter to prevent stale data
+function withCacheBuster(url) {
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}t=${new Date().getTime()}`;
+}
+
+// Fetch messages and location cache for a URL-based source (remote or fixture)
+async function fetchDataset(source) {
+  const [messagesRes, cacheRes] = await Promise.all([
+    fetch(withCacheBuster(source.dataUrl)),
+    fetch(withCacheBuster(source.cacheUrl))
+  ]);
+
+  if (!messagesRes.ok) throw new Error('Failed to load messages: ' + messagesRes.statusText);
+  if (!cacheRes.ok) throw new Error('Failed to load cache: ' + cacheRes.statusText);
+
+  return [await messagesRes.json(), await cacheRes.json()];
+}
+
+async function loadFromDataSource(source) {
+  const loadId = ++currentLoadId;
+  stopLiveUpdates();
+  hideDataBanner();
+  document.getElementById('loading').style.display = 'block';
+
+  // Boot from the last good snapshot straight away, then reconcile with the network
+  const snapshot = source.type === 'remote' ? await readSnapshot(source) : null;
+  // The user picked another source (or opened files) while this one was loading
+  if (loadId !== currentLoadId) return;
+  if (snapshot) {
+    dataSource = source;
+    loadDataset(snapshot.messages, snapshot.locationCache);
+    showingSnapshotFrom = snapshot.savedAt;
+    showDataBanner(`Showing data as of ${formatDateTime(snapshot.savedAt)} — checking for updates…`, 'syncing');
+    document.getElementById('loading').style.display = 'none';
+    updateDataSourceLabel();
+  }
+
+  try {
+    const [messages, rawLocationCache] = await fetchDataset(source);
+    if (loadId !== currentLoadId) return;
+
+    dataSource = source;
+    if (snapshot) {
+      await reconcileWithSnapshot(messages, rawLocationCache);
+      if (loadId !== currentLoadId) return;
+    } else {
+      loadDataset(messages, rawLocationCache);
+    }
+
+    showingSnapshotFrom = null;
+    hideDataBanner();
+    if (source.type === 'remote') {
+      writeSnapshot(source, messages, dataset.baseLocationCache);
+    }
+
+    // Keep pulling new messages in without a page reload
+    if (source.type === 'remote') {
+      startLiveUpdates();
+    } else {
+      setLiveStatus('static');
+    }
+  } catch (err) {
+    console.error(err);
+    if (loadId !== currentLoadId) return;
+    if (snapshot) {
+      // Keep working from the snapshot; polling picks the network back up when it returns
+      showDataBanner(`Offline — showing data as of ${formatDateTime(snapshot.savedAt)}`, 'offline');
+      startLivePolling();
+      setLiveStatus('offline');
+    } else {
+      alert('Error loading or processing data.');
+    }
+  } finally {
+    if (loadId === currentLoadId) {
+      document.getElementById('loading').style.display = 'none';
+      updateDataSourceLabel();
+    }
+  }
+}
+
+// Bring a dataset booted from a snapshot up to date without resetting the view
+async function reconcileWithSnapshot(messages, rawLocationCache) {
+  const networkKeys = new Set(messages.map(getMessageKey));
+  const hasRemovals = dataset.messages.some(msg => !networkKeys.has(getMessageKey(msg)));
+
+  if (hasRemovals) {
+    // The backend dropped or rewrote messages - only a full reload is accurate
+    loadDataset(messages, rawLocationCache);
+    return;
+  }
+
+  setDatasetLocationCache(dataset, rawLocationCache);
+  await mergeNewMessages(messages, { refreshCache: false });
+}
+
+// ---------------------------------------------------------------------------
+// Offline snapshots: last good dataset per remote source, kept in IndexedDB
+// ---------------------------------------------------------------------------
+
+function openSnapshotDb() {
+  if (!snapshotDbPromise) {
+    snapshotDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
       }
+      const request = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
     });
-    console.log('Matched locations:', matchedLocations);
-    console.log('Unmatched locations:', unmatchedLocations);
-    
+  }
+  return snapshotDbPromise;
+}
 
+function getSnapshotId(source) {
+  return `${source.dataUrl}|${source.cacheUrl}`;
+}
 
-    // Initialize filter inputs to min/max dates from data
-    initDateFilterInputs(allMessages);
+// Resolves to the saved snapshot for a source, or null if there is none (or storage is unavailable)
+async function readSnapshot(source) {
+  try {
+    const db = await openSnapshotDb();
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction(SNAPSHOT_STORE_NAME, 'readonly')
+        .objectStore(SNAPSHOT_STORE_NAME)
+        .get(getSnapshotId(source));
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (err) {
+    console.warn('Could not read offline snapshot:', err);
+    return null;
+  }
+}
 
-    // Apply initial date filter (last 3 days)
-    const startDateValue = document.getElementById('start-date').value;
-    const endDateValue = document.getElementById('end-date').value;
-    const startDate = new Date(startDateValue);
-    const endDate = new Date(endDateValue);
-    
-    // Filter messages to last 3 days by default
-    const filteredMessages = allMessages.filter(m => {
-      const d = new Date(m.date);
-      return d >= startDate && d <= endDate;
+async function writeSnapshot(source, messages, normalizedLocationCache) {
+  try {
+    const db = await openSnapshotDb();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(SNAPSHOT_STORE_NAME, 'readwrite');
+      transaction.objectStore(SNAPSHOT_STORE_NAME).put({
+        id: getSnapshotId(source),
+        messages,
+        locationCache: normalizedLocationCache,
+        savedAt: new Date().toISOString()
+      });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
     });
+  } catch (err) {
+    console.warn('Could not save offline snapshot:', err);
+  }
+}
 
-    // Show filtered markers initially
-    refreshMarkers(filteredMessages);
-    
-    // Initialize events data
-    initEventsData(allMessages);
-    
-    // Pre-render events timeline with filtered data (last 3 days)
-    if (filteredMessages.length > 0) {
-      filteredEventsMessages = [...filteredMessages].sort((a, b) => new Date(b.date) - new Date(a.date));
-      renderEventsTimeline(filteredEventsMessages);
-      updateEventsStats(filteredEventsMessages);
+// Persist live arrivals, batched so a burst of updates costs one write
+function scheduleSnapshotSave() {
+  if (!dataSource || dataSource.type !== 'remote') return;
+  clearTimeout(snapshotSaveTimer);
+  snapshotSaveTimer = setTimeout(() => {
+    writeSnapshot(dataSource, dataset.messages, dataset.baseLocationCache);
+  }, SNAPSHOT_SAVE_DELAY_MS);
+}
+
+function showDataBanner(text, state) {
+  const banner = document.getElementById('data-banner');
+  banner.textContent = text;
+  banner.dataset.state = state;
+  banner.style.display = 'block';
+}
+
+function hideDataBanner() {
+  document.getElementById('data-banner').style.display = 'none';
+}
+
+// Load tagged_messages.json and/or location_cache.json picked from disk or dropped on the map.
+// Files are told apart by shape: messages are an array, the location cache is an object.
+async function loadFromFiles(files) {
+  let messages = null;
+  let rawLocationCache = null;
+
+  for (const file of Array.from(files)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (err) {
+      alert(`"${file.name}" is not valid JSON.`);
+      return;
+    }
+
+    if (Array.isArray(parsed)) {
+      messages = parsed;
+    } else if (parsed && typeof parsed === 'object') {
+      rawLocationCache = parsed;
+    }
+  }
+
+  if (!messages && !rawLocationCache) {
+    alert('No messages or location cache found in the selected files.');
+    return;
+  }
+
+  currentLoadId++; // a source still loading must not replace the files
+  stopLiveUpdates();
+  setLiveStatus('static');
+  showingSnapshotFrom = null;
+  hideDataBanner();
+  document.getElementById('loading').style.display = 'none';
+
+  // Whatever wasn't provided is kept from the current dataset
+  dataSource = { type: 'file', label: Array.from(files).map(file => file.name).join(', ') };
+  loadDataset(messages || dataset.messages, rawLocationCache || dataset.baseLocationCache);
+  updateDataSourceLabel();
+}
+
+// Replace the current dataset and rebuild the map and timeline from it
+function loadDataset(messages, rawLocationCache) {
+  closeDetails();
+  exitPlayback({ restoreMarkers: false });
+
+  // The dataset remembers what we've seen so live updates only merge the delta
+  dataset = createDataset(messages, rawLocationCache, { overrides: locationOverrides, aliases: locationAliases });
+  newMessageKeys.clear();
+  updateLiveBadge();
+
+  rebuildStoryIndex();
+  checkWatchlists(dataset.messages, { wholeDataset: true });
+  renderBookmarkLayer();
+  cancelEventsQuery();
+  sendDatasetToSearchWorker();
+
+  console.log('Final location cache keys:', Object.keys(dataset.locationCache));
+
+  // Debug: Log data info to console
+  console.log(`Loaded ${dataset.messages.length} messages`);
+  console.log(`Loaded ${Object.keys(dataset.locationCache).length} cached locations`);
+  console.log('Sample message:', dataset.messages[0]);
+  console.log('Sample cache entry:', Object.entries(dataset.locationCache)[0]);
+  console.log('All location cache keys (first 20):', Object.keys(dataset.locationCache).slice(0, 20));
+
+  // Debug: Show what locations are mentioned in messages vs what's in cache
+  const allMessageLocations = new Set();
+  dataset.messages.forEach(msg => {
+    if (msg.locations) {
+      msg.locations.forEach(loc => {
+        allMessageLocations.add(loc.trim().toLowerCase());
+      });
+    }
+  });
+  console.log('Unique locations mentioned in messages (first 20):', Array.from(allMessageLocations).slice(0, 20));
+  console.log('Cache keys (first 20):', Object.keys(dataset.locationCache).slice(0, 20));
+
+  // Find which message locations have cache matches
+  const matchedLocations = [];
+  const unmatchedLocations = [];
+  allMessageLocations.forEach(msgLoc => {
+    if (resolveLocation(msgLoc).coord) {
+      matchedLocations.push(msgLoc);
+    } else {
+      unmatchedLocations.push(msgLoc);
     }
+  });
+  console.log('Matched locations:', matchedLocations);
+  console.log('Unmatched locations:', unmatchedLocations);
+
+  // Reset the date range to the last 3 days of the new data and show what the filters select
+  initFilterBar(dataset.messages);
+  runFilters();
+  refreshGeocodingGaps();
+}
+
+function describeDataSource(source) {
+  if (!source) return 'No data loaded';
+  if (source.type === 'fixture') return 'Demo dataset (bundled fixtures)';
+  if (source.type === 'file') return `Local file: ${source.label}`;
+
+  const defaults = getDefaultDataSource();
+  if (source.dataUrl === defaults.dataUrl && source.cacheUrl === defaults.cacheUrl) {
+    return 'Live backend (default)';
+  }
+  try {
+    return `Remote: ${new URL(source.dataUrl, window.location.href).host}`;
   } catch (err) {
-    console.error(err);
-    alert('Error loading or processing data.');
-  } finally {
-    document.getElementById('loading').style.display = 'none';
+    return `Remote: ${source.dataUrl}`;
   }
+}
+
+function updateDataSourceLabel() {
+  const label = document.getElementById('data-source-current');
+  if (label) label.textContent = describeDataSource(dataSource);
+}
+
+// The settings panels share a spot under the navigation, so showing one hides the others
+function showSettingsPanel(id) {
+  document.querySelectorAll('.settings-panel').forEach(panel => {
+    panel.style.display = panel.id === id ? 'block' : 'none';
+  });
+}
+
+function setupDataSourceControls() {
+  const panel = document.getElementById('data-source-panel');
+
+  document.getElementById('data-source-toggle').addEventListener('click', () => {
+    const isOpen = panel.style.display === 'block';
+    if (!isOpen) {
+      // Pre-fill with whatever we're currently connected to
+      const current = dataSource && dataSource.type === 'remote' ? dataSource : getDefaultDataSource();
+      document.getElementById('source-data-url').value = current.dataUrl;
+      document.getElementById('source-cache-url').value = current.cacheUrl;
+      document.getElementById('source-stream-url').value = current.streamUrl || '';
+      showSettingsPanel('data-source-panel');
+    } else {
+      panel.style.display = 'none';
+    }
+  });
+
+  document.getElementById('data-source-close').addEventListener('click', () => {
+    panel.style.display = 'none';
+  });
+
+  document.getElementById('source-load-urls').addEventListener('click', () => {
+    const dataUrl = document.getElementById('source-data-url').value.trim();
+    const cacheUrl = document.getElementById('source-cache-url').value.trim();
+    if (!dataUrl || !cacheUrl) {
+      alert('Both the messages URL and the location cache URL are required.');
+      return;
+    }
+    const source = {
+      type: 'remote',
+      dataUrl,
+      cacheUrl,
+      streamUrl: document.getElementById('source-stream-url').value.trim()
+    };
+    saveDataSource(source);
+    panel.style.display = 'none';
+    loadFromDataSource(source);
+  });
+
+  document.getElementById('source-reset').addEventListener('click', () => {
+    localStorage.removeItem(DATA_SOURCE_STORAGE_KEY);
+    panel.style.display = 'none';
+    loadFromDataSource(getDefaultDataSource());
+  });
+
+  document.getElementById('source-load-demo').addEventListener('click', () => {
+    const source = getFixtureDataSource();
+    saveDataSource(source);
+    panel.style.display = 'none';
+    loadFromDataSource(source);
+  });
+
+  document.getElementById('source-file-input').addEventListener('change', (event) => {
+    if (event.target.files.length === 0) return;
+    panel.style.display = 'none';
+    loadFromFiles(event.target.files);
+    event.target.value = ''; // allow picking the same file again
+  });
+
+  setupMapDropZone();
+}
+
+// ---------------------------------------------------------------------------
+// Geocoding workbench: place the location names the cache can't, keep the fixes
+// locally and export them as a location_cache.json patch (helpers in geocoding.js)
+// ---------------------------------------------------------------------------
+
+function setupGeocodingWorkbench() {
+  const panel = document.getElementById('geocoding-panel');
+  locationOverrides = loadLocationOverrides();
+  locationAliases = loadLocationAliases();
+  setDatasetLocationFixes(dataset, { overrides: locationOverrides, aliases: locationAliases });
+
+  document.getElementById('geocoding-toggle').addEventListener('click', () => {
+    if (panel.style.display === 'block') {
+      panel.style.display = 'none';
+    } else {
+      openGeocodingPanel();
+    }
+  });
+
+  document.getElementById('geocoding-close').addEventListener('click', () => {
+    panel.style.display = 'none';
+  });
+
+  document.getElementById('geocoding-export').addEventListener('click', () => {
+    const patch = getCachePatchEntries();
+    if (Object.keys(patch).length === 0) {
+      alert('Nothing to export: no locations have been fixed or aliased yet.');
+      return;
+    }
+    downloadFile('location_cache.patch.json', buildCachePatch(patch), 'application/json');
+  });
+
+  document.getElementById('geocoding-clear').addEventListener('click', () => {
+    if (!confirm('Remove all local geocoding fixes and aliases?')) return;
+    locationOverrides = createNameTable();
+    locationAliases = createNameTable();
+    saveLocationOverrides();
+    saveLocationAliases();
+    applyLocationFixes();
+  });
+
+  document.getElementById('alias-add').addEventListener('click', () => {
+    const nameInput = document.getElementById('alias-name');
+    const targetInput = document.getElementById('alias-target');
+    if (!nameInput.value.trim() || !targetInput.value.trim()) {
+      alert('Enter both the name as written and the place it stands for.');
+      return;
+    }
+    if (!resolveLocationName(buildLocationIndex(dataset.locationCache, {}), targetInput.value).coord) {
+      alert(`"${targetInput.value.trim()}" isn't a place the location cache knows.`);
+      return;
+    }
+    setLocationAlias(nameInput.value, targetInput.value);
+    nameInput.value = '';
+    targetInput.value = '';
+  });
+
+  document.getElementById('geocode-pick-cancel').addEventListener('click', () => {
+    cancelGeocodingPick();
+    panel.style.display = 'block';
+  });
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && geocodingPick) {
+      cancelGeocodingPick();
+      panel.style.display = 'block';
+    }
+  });
+}
+
+function loadLocationOverrides() {
+  try {
+    return sanitizeLocationOverrides(JSON.parse(localStorage.getItem(LOCATION_OVERRIDES_STORAGE_KEY)));
+  } catch (err) {
+    console.warn('Ignoring unreadable geocoding fixes:', err);
+    return createNameTable();
+  }
+}
+
+function saveLocationOverrides() {
+  localStorage.setItem(LOCATION_OVERRIDES_STORAGE_KEY, JSON.stringify(locationOverrides));
+}
+
+function loadLocationAliases() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOCATION_ALIASES_STORAGE_KEY));
+    const aliases = createNameTable();
+    Object.entries(saved || {}).forEach(([alias, target]) => {
+      if (typeof target === 'string' && alias.trim() && target.trim()) aliases[alias.trim().toLowerCase()] = target.trim().toLowerCase();
+    });
+    return aliases;
+  } catch (err) {
+    console.warn('Ignoring unreadable location aliases:', err);
+    return createNameTable();
+  }
+}
+
+function saveLocationAliases() {
+  localStorage.setItem(LOCATION_ALIASES_STORAGE_KEY, JSON.stringify(locationAliases));
+}
+
+// Treat a name as another spelling of a known place
+function setLocationAlias(alias, target) {
+  const aliasKey = alias.trim().toLowerCase();
+  const targetKey = target.trim().toLowerCase();
+  if (!aliasKey || !targetKey || aliasKey === targetKey) return;
+  locationAliases[aliasKey] = targetKey;
+  saveLocationAliases();
+  applyLocationFixes();
+}
+
+function removeLocationAlias(alias) {
+  delete locationAliases[alias];
+  saveLocationAliases();
+  applyLocationFixes();
+}
+
+// What the backend needs to place everything the way this browser does: the fixes, plus each
+// alias under its own name with its place's coordinates
+function getCachePatchEntries() {
+  const entries = createNameTable();
+  Object.keys(locationAliases).forEach(alias => {
+    const { coord } = resolveLocation(alias);
+    if (coord) entries[alias] = coord;
+  });
+  return Object.assign(entries, locationOverrides);
+}
+
+function setLocationOverride(key, coord) {
+  if (!key || !coord) return;
+  locationOverrides[key] = coord;
+  saveLocationOverrides();
+  applyLocationFixes();
+}
+
+function removeLocationOverride(key) {
+  delete locationOverrides[key];
+  saveLocationOverrides();
+  applyLocationFixes();
+}
+
+// Re-place everything after fixes or aliases changed: the spatial index, the map and timeline, the workbench
+function applyLocationFixes() {
+  setDatasetLocationFixes(dataset, { overrides: locationOverrides, aliases: locationAliases });
+  runFilters();
+  refreshGeocodingGaps();
+}
+
+// Update the nav count, and the panel if it is open
+function refreshGeocodingGaps() {
+  const gaps = findGeocodingGaps(dataset.messages, resolveLocation);
+  const badge = document.getElementById('geocoding-gap-count');
+  badge.textContent = gaps.length;
+  badge.style.display = gaps.length > 0 ? 'inline-block' : 'none';
+
+  if (document.getElementById('geocoding-panel').style.display === 'block') {
+    renderGeocodingPanel(gaps);
+  }
+}
+
+function renderGeocodingPanel(gaps = findGeocodingGaps(dataset.messages, resolveLocation)) {
+  const mentions = gaps.reduce((sum, gap) => sum + gap.count, 0);
+  document.getElementById('geocoding-summary').textContent = gaps.length === 0
+    ? 'Every location mentioned in the messages is on the map.'
+    : `${gaps.length} location names can't be placed, mentioned ${mentions} times.`;
+
+  let gapsHtml = gaps.slice(0, GEOCODING_PANEL_MAX_ROWS).map(gap => {
+    const suggestions = suggestCacheKeys(gap.key, dataset.locationCache);
+    const keyAttributes = `data-location-key="${escapeHtml(gap.key)}" data-location-name="${escapeHtml(gap.name)}"`;
+
+    return `
+      <div class="geocode-gap">
+        <div class="geocode-gap-header">
+          <strong>${escapeHtml(gap.name)}</strong>
+          <span class="geocode-status ${gap.status}">${gap.status === 'failed' ? 'Geocoding failed' : 'Not in cache'}</span>
+          <span class="geocode-count">${gap.count} ${gap.count === 1 ? 'message' : 'messages'}</span>
+        </div>
+        <div class="geocode-suggestions">
+          ${suggestions.length > 0
+            ? `Same as: ${suggestions.map(suggestion => `<button data-action="geocode-suggestion" ${keyAttributes} data-suggestion="${escapeHtml(suggestion.key)}" title="Use the coordinates of &quot;${escapeHtml(suggestion.key)}&quot;">${escapeHtml(suggestion.key)}</button>`).join('')}`
+            : 'No similar cache entries'}
+        </div>
+        <div class="geocode-gap-actions">
+          <button data-action="geocode-pick" data-shape="point" ${keyAttributes}>📍 Pick point</button>
+          <button data-action="geocode-pick" data-shape="box" ${keyAttributes}>⬚ Draw box</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  if (gaps.length > GEOCODING_PANEL_MAX_ROWS) {
+    gapsHtml += `<p class="settings-hint">... and ${gaps.length - GEOCODING_PANEL_MAX_ROWS} more, mentioned less often</p>`;
+  }
+  document.getElementById('geocoding-gaps').innerHTML = gapsHtml;
+
+  const aliasKeys = Object.keys(locationAliases).sort();
+  document.getElementById('geocoding-aliases').innerHTML = aliasKeys.length === 0
+    ? '<p class="settings-hint">No aliases yet. Built-in aliases cover Arabic and Hebrew names of the main places.</p>'
+    : aliasKeys.map(alias => `
+        <div class="geocode-override">
+          <strong>${escapeHtml(alias)}</strong>
+          <code>→ ${escapeHtml(locationAliases[alias])}</code>
+          <button class="secondary-btn" data-action="alias-remove" data-alias="${escapeHtml(alias)}">Remove</button>
+        </div>
+      `).join('');
+  document.getElementById('alias-targets').innerHTML = Object.keys(dataset.baseLocationCache)
+    .filter(key => dataset.baseLocationCache[key])
+    .sort()
+    .map(key => `<option value="${escapeHtml(key)}"></option>`)
+    .join('');
+
+  const overrideKeys = Object.keys(locationOverrides).sort();
+  document.getElementById('geocoding-overrides').innerHTML = overrideKeys.length === 0
+    ? '<p class="settings-hint">No local fixes yet.</p>'
+    : overrideKeys.map(key => {
+      const coord = locationOverrides[key];
+      const description = coord.lat !== undefined
+        ? `${coord.lat.toFixed(5)}, ${coord.lon.toFixed(5)}`
+        : `${coord.south.toFixed(4)}, ${coord.west.toFixed(4)} → ${coord.north.toFixed(4)}, ${coord.east.toFixed(4)}`;
+      return `
+        <div class="geocode-override">
+          <strong>${escapeHtml(key)}</strong>
+          <code>${description}</code>
+          <button class="secondary-btn" data-action="geocode-remove" data-location-key="${escapeHtml(key)}">Remove</button>
+        </div>
+      `;
+    }).join('');
+}
+
+function openGeocodingPanel() {
+  showSettingsPanel('geocoding-panel');
+  renderGeocodingPanel();
+}
+
+// Let the next map click(s) place a name: one click for a point, two opposite corners for a box
+function startGeocodingPick(key, name, shape) {
+  cancelGeocodingPick();
+  geocodingPick = { key, name, shape, corner: null, cornerMarker: null };
+
+  document.getElementById('geocoding-panel').style.display = 'none';
+  if (currentView !== 'map') toggleView('map');
+
+  document.getElementById('map').classList.add('picking-location');
+  document.getElementById('geocode-pick-hint').classList.add('active');
+  document.getElementById('geocode-pick-text').textContent = shape === 'box'
+    ? `Click one corner of the area for "${name}"`
+    : `Click the map where "${name}" is`;
+}
+
+function handleGeocodingPick(latlng) {
+  const point = { lat: latlng.lat, lon: latlng.lng };
+
+  if (geocodingPick.shape === 'box' && !geocodingPick.corner) {
+    geocodingPick.corner = point;
+    geocodingPick.cornerMarker = L.circleMarker(latlng, { radius: 5, color: '#6366f1' }).addTo(map);
+    document.getElementById('geocode-pick-text').textContent = `Now click the opposite corner for "${geocodingPick.name}"`;
+    return;
+  }
+
+  const coord = geocodingPick.shape === 'box' ? getBoxFromCorners(geocodingPick.corner, point) : point;
+  const { key } = geocodingPick;
+  cancelGeocodingPick();
+  setLocationOverride(key, coord);
+  document.getElementById('geocoding-panel').style.display = 'block';
+  renderGeocodingPanel();
+}
+
+function cancelGeocodingPick() {
+  if (!geocodingPick) return;
+  if (geocodingPick.cornerMarker) map.removeLayer(geocodingPick.cornerMarker);
+  geocodingPick = null;
+  document.getElementById('map').classList.remove('picking-location');
+  document.getElementById('geocode-pick-hint').classList.remove('active');
+}
+
+// Accept JSON files dragged onto the map
+function setupMapDropZone() {
+  const mapElement = document.getElementById('map');
+  const overlay = document.getElementById('drop-overlay');
+  let dragDepth = 0; // dragenter/leave fire for every child element
+
+  const hasFiles = event => event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files');
+
+  mapElement.addEventListener('dragenter', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    dragDepth++;
+    overlay.style.display = 'flex';
+  });
+
+  mapElement.addEventListener('dragover', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  });
+
+  mapElement.addEventListener('dragleave', () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) overlay.style.display = 'none';
+  });
+
+  mapElement.addEventListener('drop', (event) => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    overlay.style.display = 'none';
+    loadFromFiles(event.dataTransfer.files);
+  });
+}
+
+// Look a location name up in the dataset in use (see resolveDatasetLocation)
+function resolveLocation(locationName) {
+  return resolveDatasetLocation(dataset, locationName);
+}
+
+// ---------------------------------------------------------------------------
+// Watchlists: saved criteria checked against newly loaded messages (helpers in watchlists.js).
+// Hits go to the inbox behind the nav badge and, for watchlists that ask, to a browser notification.
+// ---------------------------------------------------------------------------
+
+function setupWatchlists() {
+  const panel = document.getElementById('watchlist-panel');
+  watchlists = loadWatchlists();
+  updateWatchlistBadge();
+
+  document.getElementById('watchlist-toggle').addEventListener('click', () => {
+    if (panel.style.display === 'block') {
+      panel.style.display = 'none';
+    } else {
+      openWatchlistPanel();
+    }
+  });
+
+  document.getElementById('watchlist-close').addEventListener('click', () => {
+    panel.style.display = 'none';
+  });
+
+  document.getElementById('watchlist-mark-seen').addEventListener('click', () => {
+    watchlists.forEach(watchlist => watchlist.history.forEach(hit => { hit.seen = true; }));
+    saveWatchlists();
+    updateWatchlistBadge();
+    renderWatchlistPanel();
+  });
+
+  document.getElementById('watchlist-notify').addEventListener('change', (event) => {
+    if (event.target.checked) requestNotificationPermission();
+  });
+  document.getElementById('watchlist-from-filters').addEventListener('click', fillWatchlistFormFromFilters);
+  document.getElementById('watchlist-add').addEventListener('click', addWatchlistFromForm);
+}
+
+function loadWatchlists() {
+  try {
+    return sanitizeWatchlists(JSON.parse(localStorage.getItem(WATCHLISTS_STORAGE_KEY)))
+      .map(watchlist => {
+        const area = watchlist.area && parseAreaParam(watchlist.area.value, watchlist.area.name);
+        // A watchlist whose area can't be read would watch everywhere, so it's dropped
+        return watchlist.area && !area ? null : { ...watchlist, area: area || null };
+      })
+      .filter(Boolean);
+  } catch (err) {
+    console.warn('Ignoring unreadable watchlists:', err);
+    return [];
+  }
+}
+
+function saveWatchlists() {
+  const stored = watchlists.map(watchlist => ({
+    ...watchlist,
+    area: watchlist.area ? { name: watchlist.area.name, value: formatAreaValue(watchlist.area) } : null
+  }));
+  try {
+    localStorage.setItem(WATCHLISTS_STORAGE_KEY, JSON.stringify(stored));
+  } catch (err) {
+    console.warn('Could not save watchlists:', err);
+  }
+}
+
+// Check the watchlists against newly loaded messages. For a whole dataset only messages newer than
+// a watchlist's last check count; live arrivals are new whatever their date.
+function checkWatchlists(messages, { wholeDataset = false } = {}) {
+  if (watchlists.length === 0) return;
+
+  watchlists.forEach(watchlist => {
+    const candidates = wholeDataset ? getUncheckedMessages(watchlist, messages) : messages;
+    const hits = candidates.length === 0 ? [] : checkWatchlist(watchlist, candidates, {
+      resolve: resolveLocation,
+      keyOf: getMessageKey,
+      areaMessages: watchlist.area ? findMessagesInArea(dataset, watchlist.area) : null
+    });
+    advanceWatchlistCheck(watchlist, messages);
+
+    if (hits.length > 0) notifyWatchlistHits(watchlist, hits);
+  });
+
+  saveWatchlists();
+  updateWatchlistBadge();
+  if (document.getElementById('watchlist-panel').style.display === 'block') renderWatchlistPanel();
+}
+
+function updateWatchlistBadge() {
+  const unseen = countUnseenHits(watchlists);
+  const badge = document.getElementById('watchlist-unseen-count');
+  badge.textContent = unseen;
+  badge.style.display = unseen > 0 ? 'inline-block' : 'none';
+}
+
+function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') {
+    alert('This browser doesn\'t support notifications; hits still show in the inbox.');
+    return;
+  }
+  if (Notification.permission === 'denied') {
+    alert('Notifications are blocked for this site; hits still show in the inbox.');
+  } else if (Notification.permission === 'default') {
+    Notification.requestPermission();
+  }
+}
+
+function notifyWatchlistHits(watchlist, hits) {
+  if (!watchlist.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+  const notification = new Notification(`🔔 ${watchlist.name}`, {
+    body: hits.length === 1 ? hits[0].text : `${hits.length} new messages. Latest: ${hits[0].text}`,
+    tag: `warfront-watchlist-${watchlist.id}` // a newer batch replaces the previous notification
+  });
+  notification.onclick = () => {
+    window.focus();
+    openWatchlistPanel();
+  };
+}
+
+// Open the panel; a draft ({ name, keywords, locations, channels, area }) pre-fills the new-watchlist form
+function openWatchlistPanel(draft = null) {
+  showSettingsPanel('watchlist-panel');
+
+  if (draft) {
+    document.getElementById('watchlist-name').value = draft.name || '';
+    document.getElementById('watchlist-keywords').value = draft.keywords || '';
+    document.getElementById('watchlist-locations').value = draft.locations || '';
+    document.getElementById('watchlist-channels').value = draft.channels || '';
+    watchlistDraftArea = draft.area || null;
+    document.getElementById('watchlist-use-area').checked = Boolean(draft.area);
+  } else {
+    watchlistDraftArea = drawnArea || filterState.area;
+  }
+
+  renderWatchlistAreaOption();
+  renderWatchlistPanel();
+}
+
+// The form's area checkbox offers the drawn area, else the area filter
+function renderWatchlistAreaOption() {
+  const checkbox = document.getElementById('watchlist-use-area');
+  checkbox.disabled = !watchlistDraftArea;
+  if (!watchlistDraftArea) checkbox.checked = false;
+  document.getElementById('watchlist-area-label').textContent = watchlistDraftArea
+    ? `Only inside ${watchlistDraftArea === drawnArea ? 'the drawn area' : `"${watchlistDraftArea.name}"`}`
+    : 'Only inside an area (draw one or filter to one first)';
+}
+
+function fillWatchlistFormFromFilters() {
+  document.getElementById('watchlist-keywords').value = filterState.searchText;
+  document.getElementById('watchlist-channels').value = filterState.channels.join(', ');
+  watchlistDraftArea = filterState.area;
+  document.getElementById('watchlist-use-area').checked = Boolean(filterState.area);
+  renderWatchlistAreaOption();
+}
+
+function addWatchlistFromForm() {
+  const readText = id => document.getElementById(id).value.trim();
+  const readList = id => readText(id).split(',').map(item => item.trim()).filter(Boolean);
+
+  const keywords = readText('watchlist-keywords');
+  const queryError = getSearchQueryError(keywords);
+  if (queryError) {
+    alert(`Keywords: ${queryError.message}`);
+    return;
+  }
+
+  const watchlist = createWatchlist({
+    name: readText('watchlist-name'),
+    keywords,
+    channels: readList('watchlist-channels'),
+    // Places are kept as cache keys so every spelling of them matches
+    locations: [...new Set(readList('watchlist-locations').map(name => resolveLocation(name).key))],
+    area: document.getElementById('watchlist-use-area').checked ? watchlistDraftArea : null,
+    notify: document.getElementById('watchlist-notify').checked
+  }, getLatestMessageDate(dataset.messages));
+
+  if (!hasWatchlistCriteria(watchlist)) {
+    alert('Fill in keywords, places, channels or an area to watch.');
+    return;
+  }
+  if (!watchlist.name) watchlist.name = describeWatchlist(watchlist);
+
+  watchlists.push(watchlist);
+  saveWatchlists();
+  ['watchlist-name', 'watchlist-keywords', 'watchlist-locations', 'watchlist-channels'].forEach(id => {
+    document.getElementById(id).value = '';
+  });
+  document.getElementById('watchlist-use-area').checked = false;
+  document.getElementById('watchlist-notify').checked = false;
+  renderWatchlistPanel();
+}
+
+function removeWatchlist(id) {
+  const watchlist = watchlists.find(candidate => candidate.id === id);
+  if (!watchlist || !confirm(`Remove the watchlist "${watchlist.name}" and its history?`)) return;
+  watchlists = watchlists.filter(candidate => candidate !== watchlist);
+  expandedWatchlists.delete(id);
+  saveWatchlists();
+  updateWatchlistBadge();
+  renderWatchlistPanel();
+}
+
+function renderWatchlistPanel() {
+  const unseen = countUnseenHits(watchlists);
+  document.getElementById('watchlist-summary').textContent = watchlists.length === 0
+    ? 'No watchlists yet'
+    : `${watchlists.length} watchlist${watchlists.length === 1 ? '' : 's'}, ${unseen} unseen hit${unseen === 1 ? '' : 's'}`;
+
+  const inbox = getWatchlistInbox(watchlists, WATCHLIST_INBOX_LIMIT);
+  document.getElementById('watchlist-inbox').innerHTML = inbox.length === 0
+    ? '<p class="settings-hint">Nothing yet. Newly loaded messages that match a watchlist show up here.</p>'
+    : inbox.map(({ watchlist, hit }) => renderWatchlistHit(hit, watchlist)).join('');
+
+  document.getElementById('watchlist-list').innerHTML = watchlists.length === 0
+    ? '<p class="settings-hint">Add one below, or use 🔔 in a place profile or an area\'s details.</p>'
+    : watchlists.map(watchlist => {
+      const expanded = expandedWatchlists.has(watchlist.id);
+      const history = watchlist.history.length === 0
+        ? '<p class="settings-hint">No hits yet.</p>'
+        : watchlist.history.map(hit => renderWatchlistHit(hit)).join('');
+      return `
+        <div class="watchlist-item">
+          <div class="watchlist-item-header">
+            <strong>${escapeHtml(watchlist.name)}</strong>
+            <span class="watchlist-item-count">${watchlist.history.length} hit${watchlist.history.length === 1 ? '' : 's'}</span>
+          </div>
+          <div class="watchlist-criteria">${escapeHtml(describeWatchlist(watchlist))}</div>
+          <div class="watchlist-item-actions">
+            <label><input type="checkbox" data-action="watchlist-notify" data-watchlist-id="${watchlist.id}"${watchlist.notify ? ' checked' : ''} /> Notify</label>
+            <button class="secondary-btn" data-action="watchlist-history" data-watchlist-id="${watchlist.id}">${expanded ? 'Hide history' : 'History'}</button>
+            <button class="secondary-btn" data-action="watchlist-remove" data-watchlist-id="${watchlist.id}">Remove</button>
+          </div>
+          ${expanded ? `<div class="watchlist-history">${history}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+}
+
+// A hit in the inbox (with its watchlist's name) or in a watchlist's history
+function renderWatchlistHit(hit, watchlist = null) {
+  return `
+    <div class="watchlist-hit${hit.seen ? '' : ' unseen'}" data-action="show-watchlist-hit" data-message-key="${escapeHtml(hit.messageKey)}" title="Show this message">
+      <div class="watchlist-hit-meta">
+        ${watchlist ? `<strong>${escapeHtml(watchlist.name)}</strong> · ` : ''}<span class="channel-swatch" style="background-color: ${getChannelColor(hit.channel)};"></span>${escapeHtml(hit.channel)} · ${formatDateTime(hit.date)}
+      </div>
+      <div class="watchlist-hit-text">${escapeHtml(hit.text)}</div>
+    </div>
+  `;
+}
+
+// Open a hit's message in the details panel, marking it seen in every watchlist that recorded it
+function showWatchlistHit(messageKey) {
+  watchlists.forEach(watchlist => watchlist.history.forEach(hit => {
+    if (hit.messageKey === messageKey) hit.seen = true;
+  }));
+  saveWatchlists();
+  updateWatchlistBadge();
+  renderWatchlistPanel();
+
+  const msg = findMessageByKey(messageKey);
+  if (!msg) {
+    alert('That message isn\'t in the data loaded right now.');
+    return;
+  }
+  if (currentView !== 'map') toggleView('map'); // message details open over the map
+  showMessageDetails(msg);
+}
+
+// ---------------------------------------------------------------------------
+// Bookmarks and notes: stars, labels and notes on messages, kept in this browser (helpers in
+// annotations.js). They show on event cards, in the details panel and as a map layer, narrow
+// every view through the filter bar, and move between browsers as a JSON file.
+// ---------------------------------------------------------------------------
+
+function setupAnnotations() {
+  const panel = document.getElementById('bookmarks-panel');
+  annotations = loadAnnotations();
+  renderLabelFilterOptions();
+  updateBookmarkCount();
+
+  document.getElementById('bookmarks-toggle').addEventListener('click', () => {
+    if (panel.style.display === 'block') {
+      panel.style.display = 'none';
+    } else {
+      showSettingsPanel('bookmarks-panel');
+      renderBookmarksPanel();
+    }
+  });
+
+  document.getElementById('bookmarks-close').addEventListener('click', () => {
+    panel.style.display = 'none';
+  });
+
+  document.getElementById('bookmarks-export').addEventListener('click', () => {
+    if (Object.keys(annotations).length === 0) {
+      alert('Nothing to export: no messages are starred, labelled or noted yet.');
+      return;
+    }
+    downloadFile(`warfront-notes-${new Date().toISOString().slice(0, 10)}.json`, buildAnnotationsExport(annotations), 'application/json');
+  });
+
+  document.getElementById('bookmarks-import-input').addEventListener('change', async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ''; // allow importing the same file again
+    if (!file) return;
+
+    try {
+      const result = mergeAnnotations(annotations, parseAnnotationsImport(await file.text()));
+      saveAnnotations();
+      document.getElementById('bookmarks-import-status').textContent =
+        `Imported ${file.name}: ${result.added} new, ${result.updated} updated, ${result.unchanged} already up to date.`;
+      refreshAnnotationViews();
+    } catch (err) {
+      alert(`Couldn't import ${file.name}: ${err.message}`);
+    }
+  });
+
+  document.getElementById('bookmarks-clear').addEventListener('click', () => {
+    if (!confirm('Remove all stars, labels and notes kept in this browser?')) return;
+    annotations = createAnnotations();
+    saveAnnotations();
+    refreshAnnotationViews();
+  });
+}
+
+function loadAnnotations() {
+  try {
+    return sanitizeAnnotations(JSON.parse(localStorage.getItem(ANNOTATIONS_STORAGE_KEY)));
+  } catch (err) {
+    console.warn('Ignoring unreadable bookmarks and notes:', err);
+    return createAnnotations();
+  }
+}
+
+function saveAnnotations() {
+  localStorage.setItem(ANNOTATIONS_STORAGE_KEY, JSON.stringify(annotations));
+}
+
+// A loaded message by its getMessageKey identity, or undefined
+function findMessageByKey(messageKey) {
+  return timelineMessagesByKey.get(messageKey) || dataset.messages.find(msg => getMessageKey(msg) === messageKey);
+}
+
+function setMessageAnnotation(messageKey, changes) {
+  updateAnnotation(annotations, messageKey, findMessageByKey(messageKey), changes);
+  saveAnnotations();
+  refreshAnnotationViews(messageKey);
+}
+
+// Bring everything that shows annotations up to date; messageKey narrows it to one message's change
+function refreshAnnotationViews(messageKey = null) {
+  renderLabelFilterOptions();
+  updateBookmarkCount();
+  renderBookmarkLayer();
+  if (document.getElementById('bookmarks-panel').style.display === 'block') renderBookmarksPanel();
+
+  // Stars in the details panel lists are updated in place; the timeline is redrawn below
+  document.querySelectorAll('#details .star-toggle').forEach(button => {
+    const starred = Boolean((annotations[button.dataset.messageKey] || {}).starred);
+    button.classList.toggle('starred', starred);
+    button.textContent = starred ? '★' : '☆';
+  });
+
+  // With a bookmark filter on, the change can add or remove messages everywhere
+  if (filterState.starredOnly || filterState.label) {
+    runFilters();
+  } else {
+    rerenderTimelineKeepingScroll();
+  }
+
+  if (currentDetailsMessageKey && (!messageKey || messageKey === currentDetailsMessageKey)) {
+    const msg = findMessageByKey(currentDetailsMessageKey);
+    if (msg) showMessageDetails(msg);
+  }
+}
+
+function updateBookmarkCount() {
+  const count = Object.keys(annotations).length;
+  const badge = document.getElementById('bookmark-count');
+  badge.textContent = count;
+  badge.style.display = count > 0 ? 'inline-block' : 'none';
+}
+
+// Label choices for the filter bar and the editors' suggestions; a label filter from a link is kept
+// even if no message here carries that label
+function renderLabelFilterOptions() {
+  const labels = getAnnotationLabels(annotations).map(({ label }) => label);
+  const current = filterState.label;
+  const selected = labels.find(label => label.toLowerCase() === current.toLowerCase()) || current;
+  if (current && !labels.includes(selected)) labels.push(current);
+
+  const select = document.getElementById('label-filter');
+  select.innerHTML = '<option value="">Any label</option>' +
+    labels.map(label => `<option value="${escapeHtml(label)}">${escapeHtml(label)}</option>`).join('');
+  select.value = selected;
+  select.disabled = labels.length === 0;
+
+  document.getElementById('annotation-label-options').innerHTML =
+    labels.map(label => `<option value="${escapeHtml(label)}"></option>`).join('');
+}
+
+function renderStarToggle(messageKey) {
+  const starred = Boolean((annotations[messageKey] || {}).starred);
+  return `<button class="star-toggle${starred ? ' starred' : ''}" data-action="toggle-star" data-message-key="${escapeHtml(messageKey)}" title="Star for follow-up">${starred ? '★' : '☆'}</button>`;
+}
+
+// A message's labels (each one filters to it) and note, for cards and details
+function renderAnnotationSummary(messageKey) {
+  const annotation = annotations[messageKey];
+  if (!annotation || (annotation.labels.length === 0 && !annotation.note)) return '';
+  return `
+    <div class="annotation-summary">
+      ${annotation.labels.map(label => `<span class="annotation-label" data-action="filter-by-label" data-label="${escapeHtml(label)}" title="Show only messages with this label">${escapeHtml(label)}</span>`).join('')}
+      ${annotation.note ? `<div class="annotation-note-text">📝 ${escapeHtml(annotation.note)}</div>` : ''}
+    </div>
+  `;
+}
+
+function renderAnnotationEditor(messageKey) {
+  const annotation = annotations[messageKey] || { labels: [], note: '' };
+  return `
+    <div class="annotation-editor" data-message-key="${escapeHtml(messageKey)}">
+      <input type="text" class="annotation-labels" list="annotation-label-options" value="${escapeHtml(annotation.labels.join(', '))}" placeholder="Labels, comma-separated: follow-up, verify" />
+      <textarea class="annotation-note" rows="3" placeholder="Note for whoever picks this up">${escapeHtml(annotation.note)}</textarea>
+      <button data-action="save-annotation">Save</button>
+    </div>
+  `;
+}
+
+// One marker per annotated message, at the first of its locations the map can place
+function renderBookmarkLayer() {
+  if (!bookmarkLayer) return;
+  bookmarkLayer.clearLayers();
+
+  dataset.messages.forEach(msg => {
+    const messageKey = getMessageKey(msg);
+    const annotation = annotations[messageKey];
+    if (!annotation) return;
+    const coord = (msg.locations || []).map(location => resolveLocation(location).coord).find(Boolean);
+    if (!coord) return;
+
+    const position = coord.lat !== undefined && coord.lon !== undefined ? coord : getBoundsCenter(coord);
+    L.marker([position.lat, position.lon], {
+      icon: L.divIcon({
+        className: `bookmark-marker${annotation.starred ? ' starred' : ''}`,
+        html: annotation.starred ? '★' : '📝',
+        iconSize: [26, 26]
+      }),
+      zIndexOffset: 1000 // above the message markers they sit on
+    }).bindPopup(`
+      <div class="bookmark-popup">
+        <div class="bookmark-meta">${escapeHtml(msg.channel)} · ${formatDateTime(msg.date)}</div>
+        <div>${escapeHtml(annotation.text)}</div>
+        ${renderAnnotationSummary(messageKey)}
+        <span class="popup-profile-link" data-action="show-bookmark" data-message-key="${escapeHtml(messageKey)}">Open message</span>
+      </div>
+    `).addTo(bookmarkLayer);
+  });
+}
+
+function renderBookmarksPanel() {
+  const entries = Object.entries(annotations)
+    .sort((a, b) => new Date(b[1].updatedAt) - new Date(a[1].updatedAt));
+  const starred = entries.filter(([, annotation]) => annotation.starred).length;
+
+  document.getElementById('bookmarks-summary').textContent = entries.length === 0
+    ? 'Nothing bookmarked yet'
+    : `${entries.length} message${entries.length === 1 ? '' : 's'} with notes, ${starred} starred`;
+
+  document.getElementById('bookmarks-list').innerHTML = entries.length === 0
+    ? '<p class="settings-hint">Star messages with ☆ and add labels and notes with 📝 on event cards, or in a message\'s details.</p>'
+    : entries.map(([messageKey, annotation]) => `
+      <div class="bookmark-entry" data-action="show-bookmark" data-message-key="${escapeHtml(messageKey)}" title="Show this message">
+        <div class="bookmark-meta">
+          ${renderStarToggle(messageKey)}
+          <span class="channel-swatch" style="background-color: ${getChannelColor(annotation.channel)};"></span>${escapeHtml(annotation.channel)}
+          ${annotation.date ? ` · ${formatDateTime(annotation.date)}` : ''}
+        </div>
+        <div class="bookmark-text">${escapeHtml(annotation.text)}</div>
+        ${renderAnnotationSummary(messageKey)}
+      </div>
+    `).join('');
+}
+
+// ---------------------------------------------------------------------------
+// Live updates: stream new messages in (SSE), falling back to polling the data URL
+// ---------------------------------------------------------------------------
+
+// Catch up as soon as the tab becomes visible again
+document.addEventListener('visibilitychange', () => {
+  if (!document.hidden && livePollTimer) pollForUpdates();
+});
+
+function startLiveUpdates() {
+  if (typeof EventSource === 'undefined' || !dataSource.streamUrl) {
+    startLivePolling();
+    return;
+  }
+
+  liveStreamOpened = false;
+  liveEventSource = new EventSource(dataSource.streamUrl);
+
+  liveEventSource.onopen = () => {
+    liveStreamOpened = true;
+    stopLivePolling();
+    setLiveStatus('live');
+  };
+
+  liveEventSource.onmessage = (event) => {
+    let payload;
+    try {
+      payload = JSON.parse(event.data);
+    } catch (err) {
+      console.error('Could not parse live update:', err, event.data);
+      return;
+    }
+    mergeNewMessages(Array.isArray(payload) ? payload : [payload])
+      .catch(err => console.error('Could not merge live update:', err));
+  };
+
+  liveEventSource.onerror = () => {
+    if (!liveStreamOpened) {
+      // Backend has no stream (or it is unreachable) - poll instead
+      console.warn('Live stream unavailable, falling back to polling');
+      liveEventSource.close();
+      liveEventSource = null;
+      startLivePolling();
+    } else {
+      // EventSource reconnects on its own once the stream has worked
+      setLiveStatus('reconnecting');
+    }
+  };
+}
+
+function stopLiveUpdates() {
+  if (liveEventSource) {
+    liveEventSource.close();
+    liveEventSource = null;
+  }
+  stopLivePolling();
+}
+
+function startLivePolling() {
+  if (livePollTimer) return;
+  setLiveStatus('polling');
+  livePollTimer = setInterval(pollForUpdates, LIVE_POLL_INTERVAL_MS);
+}
+
+function stopLivePolling() {
+  if (!livePollTimer) return;
+  clearInterval(livePollTimer);
+  livePollTimer = null;
+}
+
+async function pollForUpdates() {
+  // No point downloading while nobody is looking, or twice at once
+  if (document.hidden || livePollInFlight) return;
+  livePollInFlight = true;
+
+  const source = dataSource;
+  try {
+    // 'no-cache' revalidates with the server so an unchanged file costs a 304
+    const res = await fetch(source.dataUrl, { cache: 'no-cache' });
+    if (!res.ok) throw new Error('Failed to poll messages: ' + res.statusText);
+    const messages = await res.json();
+
+    // The user switched data sources while we were waiting
+    if (source !== dataSource) return;
+
+    const delta = messages.filter(msg => !dataset.messageKeys.has(getMessageKey(msg)));
+    if (delta.length > 0) {
+      await mergeNewMessages(delta);
+    }
+
+    // Back online after booting from a snapshot
+    if (showingSnapshotFrom) {
+      showingSnapshotFrom = null;
+      hideDataBanner();
+      scheduleSnapshotSave();
+    }
+    setLiveStatus('polling');
+  } catch (err) {
+    console.error('Live update poll failed:', err);
+    setLiveStatus('offline');
+  } finally {
+    livePollInFlight = false;
+  }
+}
+
+// Re-fetch the location cache when new messages mention places we haven't geocoded yet.
+// Resolves to true if the cache was replaced.
+async function refreshLocationCacheFor(messages) {
+  const hasUnknownLocation = messages.some(msg => (msg.locations || []).some(location =>
+    typeof location === 'string' && resolveLocation(location).coord === undefined
+  ));
+  if (!hasUnknownLocation) return false;
+
+  try {
+    const res = await fetch(dataSource.cacheUrl, { cache: 'no-cache' });
+    if (!res.ok) throw new Error('Failed to refresh cache: ' + res.statusText);
+    setDatasetLocationCache(dataset, await res.json());
+    return true;
+  } catch (err) {
+    console.error('Could not refresh location cache:', err);
+    return false;
+  }
+}
+
+// Merge newly arrived messages into the map and timeline without touching view state
+async function mergeNewMessages(messages, { refreshCache = true } = {}) {
+  const arrivals = messages.filter(msg => msg && msg.date && !dataset.messageKeys.has(getMessageKey(msg)));
+  if (arrivals.length === 0) return;
+
+  // New geocodes can move old messages too, so a refreshed cache re-indexes the whole dataset
+  if (refreshCache) await refreshLocationCacheFor(arrivals);
+
+  // A end date sitting on the latest day means "up to now", so it should follow new data
+  const followsLiveEdge = isFollowingLiveEdge();
+
+  // Indexed on the way in; an update that finished while the cache loaded may have taken some already
+  const delta = addMessagesToDataset(dataset, arrivals);
+  if (delta.length === 0) return;
+  delta.forEach(msg => newMessageKeys.add(getMessageKey(msg)));
+  addToStoryIndex(storyIndex, delta);
+
+  if (searchWorker) {
+    searchWorker.postMessage({ type: 'append', messages: delta });
+  }
+  localSearchIndex = null;
+
+  extendDateInputs(delta, followsLiveEdge);
+  addNewChannelOptions(delta);
+  checkWatchlists(delta);
+  if (delta.some(msg => annotations[getMessageKey(msg)])) renderBookmarkLayer(); // notes imported before the message arrived
+
+  // Resolved after the index update so an area filter sees the arrivals too
+  const criteria = getFilterCriteria();
+
+  // A search still running in the worker only covers messages it had when it started
+  if (pendingEventsQuery) {
+    const pendingCriteria = pendingEventsQuery.criteria;
+    if (pendingCriteria.area) pendingCriteria.areaMessages = findMessagesInArea(dataset, pendingCriteria.area);
+    if (pendingCriteria.bookmarkMessages) pendingCriteria.bookmarkMessages = getBookmarkedMessages(filterState);
+    delta.forEach(msg => {
+      if (passesEventsFilters(msg, pendingCriteria, followsLiveEdge)) pendingEventsQuery.matches.push(msg);
+    });
+  }
+
+  // Map and timeline: add arrivals that pass the current filters
+  if (criteria && !getSearchQueryError(criteria.searchText)) {
+    if (eventsRankedByRelevance) {
+      // Arrivals need scores against the grown index to find their place
+      runEventsQuery(criteria);
+    } else {
+      const matching = delta.filter(msg => passesEventsFilters(msg, criteria));
+      if (matching.length > 0) {
+        filteredMessages = [...matching, ...filteredMessages]
+          .sort((a, b) => new Date(b.date) - new Date(a.date));
+        rerenderTimelineKeepingScroll();
+        updateEventsStats(filteredMessages);
+        if (currentView === 'dashboard') renderDashboard();
+
+        // During playback the next frame picks them up instead
+        if (playbackState.active) {
+          updatePlaybackRange();
+        } else {
+          addMessagesToMap(matching);
+        }
+      }
+    }
+  }
+
+  updateLiveBadge();
+  refreshGeocodingGaps();
+  scheduleSnapshotSave();
+}
+
+// Whether the end of the date range is "now": open, or on the latest day there is data for
+function isFollowingLiveEdge() {
+  const endInput = document.getElementById('end-date');
+  return !filterState.endDate || filterState.endDate === endInput.max;
+}
+
+// Widen the date pickers to cover new data; advance the end date if it was following the live edge
+function extendDateInputs(messages, followsLiveEdge) {
+  const range = getTimeRange(messages.map(m => m.date));
+  if (!range) return;
+  const latest = getZonedDay(range.last);
+
+  ['start-date', 'end-date'].forEach(id => {
+    const input = document.getElementById(id);
+    if (!input.max || latest > input.max) input.max = latest;
+  });
+
+  if (followsLiveEdge && filterState.endDate && latest > filterState.endDate) {
+    filterState.endDate = latest;
+    renderFilterBar();
+  }
+}
+
+// Add markers and heatmap weight for messages without redrawing the rest of the map
+function addMessagesToMap(messages) {
+  messages.forEach(msg => {
+    (msg.locations || []).forEach(location => {
+      if (!location || typeof location !== 'string') return;
+      const { coord } = resolveLocation(location);
+      if (coord) addLocationToMap(coord, msg, location);
+    });
+  });
+
+  // Copy rather than push: heatmapMessages may be filteredMessages itself
+  heatmapMessages = heatmapMessages.concat(messages);
+  updateHeatmap();
+}
+
+// Give channels we haven't seen before a color and a place in the channel filter and legend
+function addNewChannelOptions(messages) {
+  const before = channelColors.size;
+  assignChannelColors(messages);
+  if (channelColors.size === before) return;
+
+  renderChannelOptions();
+  renderMapLegend();
+}
+
+// Re-render the timeline with new items at the top without shifting what the user is reading
+function rerenderTimelineKeepingScroll() {
+  const scroller = document.getElementById('events-view');
+  const previousHeight = scroller.scrollHeight;
+  const previousTop = scroller.scrollTop;
+
+  renderEventsTimeline(filteredMessages);
+
+  if (previousTop > 0) {
+    scroller.scrollTop = previousTop + (scroller.scrollHeight - previousHeight);
+  }
+}
+
+function setLiveStatus(status) {
+  const statusElement = document.getElementById('live-status');
+  if (!statusElement) return;
+
+  const labels = {
+    live: 'Live',
+    polling: 'Auto-refresh',
+    reconnecting: 'Reconnecting…',
+    offline: 'Offline',
+    static: 'Static data'
+  };
+  statusElement.dataset.status = status;
+  statusElement.querySelector('.live-label').textContent = labels[status] || status;
+}
+
+function updateLiveBadge() {
+  const badge = document.getElementById('live-new-count');
+  if (!badge) return;
+
+  const count = newMessageKeys.size;
+  badge.textContent = `${count} new`;
+  badge.style.display = count > 0 ? 'inline-block' : 'none';
+}
+
+// Acknowledge all live arrivals and clear their highlighting
+function markNewMessagesSeen() {
+  newMessageKeys.clear();
+  document.querySelectorAll('.new-arrival').forEach(el => el.classList.remove('new-arrival'));
+  document.querySelectorAll('.new-badge').forEach(el => el.remove());
+  Object.keys(regionStore).forEach(updateRegionMarker);
+  updateLiveBadge();
+}
+
+// ---------------------------------------------------------------------------
+// Time zone: the date filter, the timeline's days, charts and every time shown use one zone
+// ---------------------------------------------------------------------------
+
+function setupTimeZone() {
+  const select = document.getElementById('time-zone');
+  select.innerHTML = TIME_ZONE_OPTIONS.map(({ value, label }) => {
+    const text = value === 'local' ? `${label} (${getTimeZoneLabel('local')})` : label;
+    return `<option value="${escapeHtml(value)}">${escapeHtml(text)}</option>`;
+  }).join('');
+
+  // A shared link's zone wins over the one picked here before, as the default date range is taken in it
+  const linked = new URLSearchParams(window.location.hash.slice(1)).get('tz');
+  if (!(linked && setTimeZone(linked))) setTimeZone(localStorage.getItem(TIME_ZONE_STORAGE_KEY) || 'local');
+  renderTimeZonePicker();
+
+  select.addEventListener('change', () => {
+    if (!setTimeZone(select.value)) return;
+    localStorage.setItem(TIME_ZONE_STORAGE_KEY, select.value);
+    runFilters();
+    refreshTimeZoneViews();
+    syncUrlState();
+  });
+}
+
+// Switch the display zone; returns whether it changed (unknown zones are ignored).
+// The selected days stay the same calendar days, now taken in the new zone.
+function setTimeZone(zone) {
+  if (zone === getDisplayTimeZone() || !setDisplayTimeZone(zone)) return false;
+  renderTimeZonePicker();
+  if (dataset.messages.length > 0) setDateInputLimits(dataset.messages);
+  return true;
+}
+
+function renderTimeZonePicker() {
+  const select = document.getElementById('time-zone');
+  const zone = getDisplayTimeZone();
+  // Zones from links that the picker doesn't offer get an option of their own
+  if (![...select.options].some(option => option.value === zone)) select.add(new Option(zone, zone));
+  select.value = zone;
+}
+
+// Redraw the dates the filter results don't cover after a zone change (runFilters does the rest)
+function refreshTimeZoneViews() {
+  if (currentDetailsMessageKey) {
+    const msg = findMessageByKey(currentDetailsMessageKey);
+    if (msg) showMessageDetails(msg);
+  } else if (currentProfileLocation) {
+    showLocationProfile(currentProfileLocation, { moveMap: false });
+  } else {
+    rerenderDetailsMessageList();
+  }
+
+  if (playbackState.active) renderPlaybackFrame();
+  if (document.getElementById('watchlist-panel').style.display === 'block') renderWatchlistPanel();
+  if (document.getElementById('bookmarks-panel').style.display === 'block') renderBookmarksPanel();
+}
+
+// ---------------------------------------------------------------------------
+// Shared filters: filterState drives the map, the timeline, playback and exports
+// ---------------------------------------------------------------------------
+
+// Limit the date pickers to the days the messages span in the display time zone
+function setDateInputLimits(messages) {
+  const range = getTimeRange(messages.map(m => m.date));
+  const minDay = range && getZonedDay(range.first);
+  const maxDay = range && getZonedDay(range.last);
+
+  ['start-date', 'end-date'].forEach(id => {
+    const input = document.getElementById(id);
+    input.min = minDay;
+    input.max = maxDay;
+  });
+  return { minDay, maxDay };
+}
+
+// Fit the filter bar to a new dataset: date limits, channel list and the default last-3-days range
+function initFilterBar(messages) {
+  initChannelFilter(messages);
+  if (!messages.length) {
+    filterState.channels = [];
+    renderFilterBar();
+    return;
+  }
+
+  const { minDay, maxDay } = setDateInputLimits(messages);
+
+  // Use the later of: (3 days before the latest day) or (earliest day)
+  const threeDaysAgo = addDays(maxDay, -3);
+  filterState.startDate = threeDaysAgo > minDay ? threeDaysAgo : minDay;
+  filterState.endDate = maxDay;
+
+  // Channels the new data doesn't have would only hide things
+  filterState.channels = filterState.channels.filter(channel => channelColors.has(channel));
+
+  renderFilterBar();
+}
+
+function initChannelFilter(messages) {
+  channelColors.clear();
+  assignChannelColors(messages);
+  renderChannelOptions();
+  renderMapLegend();
+
+  console.log('Channel filter initialized with channels:', [...channelColors.keys()]);
+}
+
+// Give every channel in messages that doesn't have a color yet the next one
+function assignChannelColors(messages) {
+  [...new Set(messages.map(m => m.channel))].filter(Boolean).sort().forEach(channel => {
+    if (channelColors.has(channel)) return;
+    const index = channelColors.size;
+    // Past the palette, golden-angle hues stay distinct from their neighbours
+    channelColors.set(channel, CHANNEL_COLORS[index] || `hsl(${Math.round(index * 137.5) % 360}, 65%, 50%)`);
+  });
+}
+
+function getChannelColor(channel) {
+  return channelColors.get(channel) || '#6b7280';
+}
+
+// Whether the channel filter lets a channel through
+function isChannelSelected(channel) {
+  return filterState.channels.length === 0 || filterState.channels.includes(channel);
+}
+
+// One checkbox per channel, sorted by name
+function renderChannelOptions() {
+  const options = document.getElementById('channel-filter-options');
+  const channels = [...channelColors.keys()].sort();
+
+  options.innerHTML = `
+    <button class="channel-select-all" data-channel-select="all">Show all channels</button>
+    ${channels.map(channel => `
+      <label class="channel-option">
+        <input type="checkbox" value="${escapeHtml(channel)}" ${isChannelSelected(channel) ? 'checked' : ''}>
+        <span class="channel-swatch" style="background-color: ${getChannelColor(channel)};"></span>
+        ${escapeHtml(channel)}
+      </label>
+    `).join('')}
+  `;
+  updateChannelFilterToggle();
+}
+
+function updateChannelFilterToggle() {
+  const toggle = document.getElementById('channel-filter-toggle');
+  const count = filterState.channels.length;
+  toggle.textContent = count === 0 ? 'All channels ▾'
+    : count === 1 ? `${filterState.channels[0]} ▾`
+    : `${count} channels ▾`;
+  toggle.classList.toggle('active', count > 0);
+}
+
+// Legend generated from the channels in the data; channels filtered out are dimmed
+function renderMapLegend() {
+  const legend = document.getElementById('map-legend');
+  const channels = [...channelColors.keys()].sort();
+
+  legend.innerHTML = `
+    <div class="legend-entry">
+      <div class="legend-region"></div>
+      <span>Regions (click for details)</span>
+    </div>
+    ${channels.map(channel => `
+      <div class="legend-entry${isChannelSelected(channel) ? '' : ' excluded'}">
+        <span class="channel-swatch" style="background-color: ${getChannelColor(channel)};"></span>
+        <span>${escapeHtml(channel)}</span>
+      </div>
+    `).join('')}
+  `;
+}
+
+// Cluster icon: a pie with one segment per channel, sized by its share of the cluster
+function createClusterIcon(cluster) {
+  const markers = cluster.getAllChildMarkers();
+  const counts = new Map();
+  markers.forEach(marker => counts.set(marker.channel, (counts.get(marker.channel) || 0) + 1));
+
+  let angle = 0;
+  const segments = [];
+  [...counts.entries()].sort((a, b) => b[1] - a[1]).forEach(([channel, count]) => {
+    const next = angle + (count / markers.length) * 360;
+    segments.push(`${getChannelColor(channel)} ${angle}deg ${next}deg`);
+    angle = next;
+  });
+
+  const size = markers.length < 10 ? 34 : markers.length < 100 ? 40 : 48;
+  const title = [...counts.entries()].map(([channel, count]) => `${channel}: ${count}`).join(', ');
+
+  return L.divIcon({
+    className: 'channel-cluster',
+    html: `<div class="channel-cluster-pie" title="${escapeHtml(title)}" style="width: ${size}px; height: ${size}px; background: conic-gradient(${segments.join(', ')});"><span>${markers.length}</span></div>`,
+    iconSize: L.point(size, size)
+  });
+}
+
+// Copy the filter bar inputs into filterState
+function readFilterBar() {
+  filterState.startDate = document.getElementById('start-date').value;
+  filterState.endDate = document.getElementById('end-date').value;
+  // Ticking every channel is the same as not filtering by channel
+  const boxes = [...document.querySelectorAll('#channel-filter-options input[type="checkbox"]')];
+  const checked = boxes.filter(box => box.checked).map(box => box.value);
+  filterState.channels = checked.length === boxes.length ? [] : checked;
+  // Not lowercased: AND / OR / NOT are only operators in capitals
+  filterState.searchText = document.getElementById('search-text').value.trim();
+  filterState.starredOnly = document.getElementById('starred-only').checked;
+  filterState.label = document.getElementById('label-filter').value;
+}
+
+// Show filterState in the filter bar
+function renderFilterBar() {
+  document.getElementById('start-date').value = filterState.startDate;
+  document.getElementById('end-date').value = filterState.endDate;
+  document.querySelectorAll('#channel-filter-options input[type="checkbox"]').forEach(box => {
+    box.checked = isChannelSelected(box.value);
+  });
+  updateChannelFilterToggle();
+  renderMapLegend();
+
+  // Don't fight the user's spacing while they type
+  const searchInput = document.getElementById('search-text');
+  if (searchInput.value.trim() !== filterState.searchText) searchInput.value = filterState.searchText;
+
+  document.getElementById('starred-only').checked = filterState.starredOnly;
+  renderLabelFilterOptions();
+
+  const areaChip = document.getElementById('area-filter');
+  areaChip.style.display = filterState.area ? 'inline-flex' : 'none';
+  document.getElementById('area-filter-name').textContent = filterState.area ? filterState.area.name : '';
+  renderAreaLayer();
+}
+
+// Attach event listeners for the filter bar and the map controls
+function setupFilterListeners() {
+  document.getElementById('start-date').addEventListener('change', applyFilters);
+  document.getElementById('end-date').addEventListener('change', applyFilters);
+  setupChannelFilter();
+  document.getElementById('search-text').addEventListener('input', scheduleSearchFilter);
+  document.getElementById('group-reposts').addEventListener('change', () => {
+    refreshStoryGrouping();
+    syncUrlState();
+  });
+  document.getElementById('starred-only').addEventListener('change', applyFilters);
+  document.getElementById('label-filter').addEventListener('change', applyFilters);
+  document.getElementById('clear-filter').addEventListener('click', clearFilters);
+  document.getElementById('area-filter-clear').addEventListener('click', () => setAreaFilter(null));
+
+  // Layer toggle listeners
+  document.getElementById('show-markers').addEventListener('change', onLayerToggle);
+  document.getElementById('show-regions').addEventListener('change', onLayerToggle);
+  document.getElementById('show-heatmap').addEventListener('change', onLayerToggle);
+  document.getElementById('show-bookmarks').addEventListener('change', onLayerToggle);
+  document.getElementById('heatmap-intensity').addEventListener('change', () => {
+    updateHeatmap();
+    syncUrlState();
+  });
+
+  setupPlaybackControls();
+}
+
+// Open/close the channel checklist and apply changes as boxes are ticked
+function setupChannelFilter() {
+  const toggle = document.getElementById('channel-filter-toggle');
+  const options = document.getElementById('channel-filter-options');
+
+  toggle.addEventListener('click', (event) => {
+    event.stopPropagation(); // the document listener below would close it again
+    options.classList.toggle('open');
+  });
+
+  options.addEventListener('click', (event) => {
+    event.stopPropagation(); // ticking several boxes shouldn't close the list
+    if (!event.target.closest('[data-channel-select="all"]')) return;
+    filterState.channels = [];
+    renderFilterBar();
+    if (runFilters()) syncUrlState();
+  });
+  options.addEventListener('change', applyFilters);
+
+  document.addEventListener('click', () => options.classList.remove('open'));
+}
 
-  setupFilterListeners();
-  
-  // Check if we need to navigate to a specific location from URL hash
-  checkForLocationNavigation();
+// Filter criteria for passesEventsFilters; null if the date range is invalid
+function getFilterCriteria() {
+  const { starredOnly, label } = filterState;
+
+  // Full days in the display time zone; the end day is included up to its last millisecond
+  const criteria = getQueryCriteria(dataset, filterState);
+  if (!criteria) return null;
+
+  // Bookmarks live on the page, so the core doesn't know about them
+  criteria.bookmarkMessages = starredOnly || label ? getBookmarkedMessages({ starredOnly, label }) : null;
+  return criteria;
 }
 
-// Check URL hash for location navigation (from events page)
-function checkForLocationNavigation() {
-  const hash = window.location.hash;
-  if (hash.startsWith('#location=')) {
-    const locationName = decodeURIComponent(hash.substring(10));
-    // Wait a bit for the map to be fully loaded
-    setTimeout(() => {
-      goToLocation(locationName);
-    }, 1000);
-  }
+// Messages whose annotation passes the starred/label filters
+function getBookmarkedMessages(bookmarkFilter) {
+  return new Set(dataset.messages.filter(msg => annotationMatches(annotations[getMessageKey(msg)], bookmarkFilter)));
+}
+
+// Called whenever a filter input changes
+function applyFilters() {
+  readFilterBar();
+  renderFilterBar();
+  if (runFilters()) syncUrlState();
 }
 
-// Initialize date inputs with min/max dates from the data
-function initDateFilterInputs(messages) {
-  if (!messages.length) return;
-  const dates = messages.map(m => new Date(m.date));
-  const minDate = new Date(Math.min(...dates));
-  const maxDate = new Date(Math.max(...dates));
-  const toDateInputValue = d => d.toISOString().split('T')[0];
+// Run filterState against the data; returns false if the filters are invalid
+function runFilters() {
+  clearTimeout(searchFilterTimer);
 
-  // Calculate 3 days ago from the latest date
-  const threeDaysAgo = new Date(maxDate);
-  threeDaysAgo.setDate(maxDate.getDate() - 3);
-  
-  // Use the later of: (3 days ago) or (earliest message date)
-  const startDate = threeDaysAgo > minDate ? threeDaysAgo : minDate;
+  const criteria = getFilterCriteria();
+  if (!criteria) {
+    alert("Start date can't be after end date.");
+    return false;
+  }
+  const { searchText } = criteria;
 
-  document.getElementById('start-date').value = toDateInputValue(startDate);
-  document.getElementById('start-date').min = toDateInputValue(minDate);
-  document.getElementById('start-date').max = toDateInputValue(maxDate);
+  // Malformed queries are reported under the search box instead of being run
+  const queryError = getSearchQueryError(searchText);
+  showSearchQueryError(queryError);
+  if (queryError) {
+    cancelEventsQuery();
+    updateEventsStats(filteredMessages);
+    return false;
+  }
 
-  document.getElementById('end-date').value = toDateInputValue(maxDate);
-  document.getElementById('end-date').min = toDateInputValue(minDate);
-  document.getElementById('end-date').max = toDateInputValue(maxDate);
+  runEventsQuery(criteria);
+  return true;
 }
 
-// Attach event listeners for date inputs and clear filter button
-function setupFilterListeners() {
-  document.getElementById('start-date').addEventListener('change', onFilterChange);
-  document.getElementById('end-date').addEventListener('change', onFilterChange);
-  
-  // Layer toggle listeners
-  document.getElementById('show-markers').addEventListener('change', onLayerToggle);
-  document.getElementById('show-regions').addEventListener('change', onLayerToggle);
-  
-  document.getElementById('clear-filter').addEventListener('click', () => {
-    // Clear date inputs so no filter applies
-    document.getElementById('start-date').value = '';
-    document.getElementById('end-date').value = '';
-    // Refresh all markers without any filtering
-    refreshMarkers(allMessages);
-  });
+function clearFilters() {
+  cancelEventsQuery();
+  Object.assign(filterState, { startDate: '', endDate: '', channels: [], searchText: '', area: null, starredOnly: false, label: '' });
+  renderFilterBar();
+  runFilters();
+  syncUrlState();
 }
 
-// Called whenever date filter inputs change
-function onFilterChange() {
-  const startDate = new Date(document.getElementById('start-date').value);
-  const endDate = new Date(document.getElementById('end-date').value);
-  if (startDate > endDate) {
-    alert("Start date can't be after End date.");
-    return;
-  }
-  // Filter messages by date range (inclusive)
-  const filtered = allMessages.filter(m => {
-    const d = new Date(m.date);
-    return d >= startDate && d <= endDate;
-  });
-  refreshMarkers(filtered);
+// Narrow every view to an area (a region's bounds or a drawn shape), or pass null to remove the area filter
+function setAreaFilter(area) {
+  filterState.area = area;
+  renderFilterBar();
+  if (runFilters()) syncUrlState();
 }
 
 // Called when layer toggle checkboxes change
 function onLayerToggle() {
   const showMarkers = document.getElementById('show-markers').checked;
   const showRegions = document.getElementById('show-regions').checked;
+  const showHeatmap = document.getElementById('show-heatmap').checked;
   
   // Toggle layer visibility
   if (showMarkers) {
@@ -264,18 +2304,286 @@ function onLayerToggle() {
       map.removeLayer(rectangleLayerGroup);
     }
   }
+
+  if (showHeatmap) {
+    map.addLayer(heatLayer);
+    updateHeatmap(); // skipped while hidden, so bring it up to date
+  } else {
+    map.removeLayer(heatLayer);
+  }
+  document.getElementById('heatmap-intensity').disabled = !showHeatmap;
+
+  if (document.getElementById('show-bookmarks').checked) {
+    map.addLayer(bookmarkLayer);
+  } else {
+    map.removeLayer(bookmarkLayer);
+  }
+  syncUrlState();
+}
+
+// ---------------------------------------------------------------------------
+// Heatmap: message density from point locations, with region weight spread over the box
+// ---------------------------------------------------------------------------
+
+// Build [lat, lon, weight] points for leaflet.heat
+function buildHeatmapPoints(messages, mode) {
+  const points = [];
+  if (messages.length === 0) return points;
+
+  // Recency is measured from the newest message shown, so it also works for playback and old data
+  const { last: newestTime } = getTimeRange(messages.map(m => m.date)) || { last: Date.now() };
+  const weightFor = msg => mode === 'recency'
+    ? Math.pow(0.5, (newestTime - new Date(msg.date).getTime()) / HEATMAP_HALF_LIFE_MS)
+    : 1;
+
+  messages.forEach(msg => {
+    if (!msg.locations) return;
+    const weight = weightFor(msg);
+
+    msg.locations.forEach(location => {
+      if (!location || typeof location !== 'string') return;
+      const { coord } = resolveLocation(location);
+      if (!coord) return;
+
+      if (coord.lat !== undefined && coord.lon !== undefined) {
+        points.push([coord.lat, coord.lon, weight]);
+      } else if (coord.north !== undefined && coord.south !== undefined &&
+                 coord.east !== undefined && coord.west !== undefined) {
+        // Spread the message's weight evenly over a grid covering the region
+        const rows = Math.min(HEATMAP_REGION_MAX_SAMPLES,
+          Math.max(1, Math.ceil((coord.north - coord.south) / HEATMAP_REGION_CELL_DEG)));
+        const cols = Math.min(HEATMAP_REGION_MAX_SAMPLES,
+          Math.max(1, Math.ceil((coord.east - coord.west) / HEATMAP_REGION_CELL_DEG)));
+        const sampleWeight = weight / (rows * cols);
+
+        for (let r = 0; r < rows; r++) {
+          for (let c = 0; c < cols; c++) {
+            points.push([
+              coord.south + (coord.north - coord.south) * (r + 0.5) / rows,
+              coord.west + (coord.east - coord.west) * (c + 0.5) / cols,
+              sampleWeight
+            ]);
+          }
+        }
+      }
+    });
+  });
+
+  return points;
+}
+
+// Redraw the heatmap from the messages currently on the map
+function updateHeatmap() {
+  if (!heatLayer || !map.hasLayer(heatLayer)) return;
+
+  const mode = document.getElementById('heatmap-intensity').value;
+  const points = buildHeatmapPoints(heatmapMessages, mode);
+
+  // Scale so the busiest spot saturates, rather than every stacked point going red
+  const totals = {};
+  let busiest = 0;
+  points.forEach(([lat, lon, weight]) => {
+    const cell = `${lat.toFixed(2)},${lon.toFixed(2)}`;
+    totals[cell] = (totals[cell] || 0) + weight;
+    busiest = Math.max(busiest, totals[cell]);
+  });
+
+  heatLayer.setOptions({ max: Math.max(busiest * 0.6, 0.0001) });
+  heatLayer.setLatLngs(points);
+}
+
+// ---------------------------------------------------------------------------
+// Time-slider playback: replay the filtered messages through a rolling window
+// ---------------------------------------------------------------------------
+
+function setupPlaybackControls() {
+  const slider = document.getElementById('playback-slider');
+
+  document.getElementById('playback-play').addEventListener('click', () => {
+    if (playbackState.playing) {
+      pausePlayback();
+    } else {
+      startPlayback();
+    }
+  });
+
+  slider.addEventListener('input', () => {
+    enterPlayback();
+    playbackState.currentTime = Number(slider.value);
+    renderPlaybackFrame();
+  });
+
+  document.getElementById('playback-speed').addEventListener('change', (event) => {
+    playbackState.speed = Number(event.target.value);
+  });
+
+  document.getElementById('playback-window').addEventListener('change', (event) => {
+    playbackState.windowMs = Number(event.target.value);
+    if (playbackState.active) renderPlaybackFrame();
+  });
+
+  document.getElementById('playback-exit').addEventListener('click', () => exitPlayback());
+}
+
+// Recompute the playable range from the filtered messages, keeping the playhead where it was if possible
+function updatePlaybackRange() {
+  playbackState.messages = [...filteredMessages]
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const slider = document.getElementById('playback-slider');
+  if (playbackState.messages.length === 0) {
+    playbackState.startTime = playbackState.endTime = null;
+    slider.disabled = true;
+    document.getElementById('playback-time').textContent = 'No messages in range';
+    if (playbackState.active) renderPlaybackFrame();
+    return;
+  }
+
+  playbackState.startTime = new Date(playbackState.messages[0].date).getTime();
+  playbackState.endTime = new Date(playbackState.messages[playbackState.messages.length - 1].date).getTime();
+
+  slider.disabled = false;
+  slider.min = playbackState.startTime;
+  slider.max = playbackState.endTime;
+
+  if (playbackState.active) {
+    playbackState.currentTime = Math.min(
+      Math.max(playbackState.currentTime, playbackState.startTime),
+      playbackState.endTime
+    );
+    renderPlaybackFrame();
+  } else {
+    slider.value = playbackState.endTime;
+    updatePlaybackLabel();
+  }
+}
+
+function enterPlayback() {
+  if (playbackState.active) return;
+  playbackState.active = true;
+  playbackState.currentTime = Number(document.getElementById('playback-slider').value);
+  document.getElementById('playback-bar').classList.add('active');
+  closeDetails();
+}
+
+function startPlayback() {
+  if (playbackState.startTime === null) return;
+  enterPlayback();
+
+  // Pressing play at the end starts over
+  if (playbackState.currentTime >= playbackState.endTime) {
+    playbackState.currentTime = playbackState.startTime;
+  }
+
+  playbackState.playing = true;
+  playbackState.lastTick = Date.now();
+  playbackState.timer = setInterval(advancePlayback, PLAYBACK_TICK_MS);
+  document.getElementById('playback-play').textContent = '⏸';
+  renderPlaybackFrame();
+}
+
+function pausePlayback() {
+  playbackState.playing = false;
+  clearInterval(playbackState.timer);
+  playbackState.timer = null;
+  document.getElementById('playback-play').textContent = '▶';
+}
+
+// Leave playback and go back to the plain filtered map
+function exitPlayback({ restoreMarkers = true } = {}) {
+  if (!playbackState.active) return;
+  pausePlayback();
+  playbackState.active = false;
+  document.getElementById('playback-bar').classList.remove('active');
+  document.getElementById('playback-slider').value = playbackState.endTime;
+  updatePlaybackLabel();
+
+  if (restoreMarkers) {
+    refreshMarkers(filteredMessages);
+  }
+}
+
+function advancePlayback() {
+  const now = Date.now();
+  const elapsedSeconds = (now - playbackState.lastTick) / 1000;
+  playbackState.lastTick = now;
+
+  playbackState.currentTime += elapsedSeconds * playbackState.speed;
+  if (playbackState.currentTime >= playbackState.endTime) {
+    playbackState.currentTime = playbackState.endTime;
+    pausePlayback();
+  }
+  renderPlaybackFrame();
+}
+
+// Messages inside the window (currentTime - windowMs, currentTime]
+function getPlaybackWindowMessages() {
+  const { messages, currentTime, windowMs } = playbackState;
+  const windowStart = currentTime - windowMs;
+
+  // messages are sorted oldest first, so binary search for the first one inside the window
+  let low = 0;
+  let high = messages.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (new Date(messages[mid].date).getTime() <= windowStart) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  const visible = [];
+  for (let i = low; i < messages.length; i++) {
+    if (new Date(messages[i].date).getTime() > currentTime) break;
+    visible.push(messages[i]);
+  }
+  return visible;
+}
+
+function renderPlaybackFrame() {
+  const { currentTime, windowMs } = playbackState;
+  const visible = playbackState.startTime === null ? [] : getPlaybackWindowMessages();
+
+  // Newest messages are fully opaque and fade out as they age across the window
+  refreshMarkers(visible, {
+    quiet: true,
+    opacityFor: msg => {
+      const age = currentTime - new Date(msg.date).getTime();
+      return 0.2 + 0.8 * Math.max(0, 1 - age / windowMs);
+    }
+  });
+
+  document.getElementById('playback-slider').value = currentTime;
+  updatePlaybackLabel(visible.length);
+}
+
+function updatePlaybackLabel(visibleCount) {
+  const label = document.getElementById('playback-time');
+  if (playbackState.startTime === null) return;
+
+  if (!playbackState.active) {
+    label.textContent = 'Drag or press play to replay';
+    return;
+  }
+  const plural = visibleCount === 1 ? 'message' : 'messages';
+  label.textContent = `${formatDateTime(playbackState.currentTime)} · ${visibleCount} ${plural} in window`;
 }
 
-// Clear and redraw markers and regions for given messages
-function refreshMarkers(messages) {
+// Clear and redraw markers and regions for given messages.
+// Options: opacityFor(msg) fades individual messages (used by playback), quiet skips per-location debug logging.
+function refreshMarkers(messages, { opacityFor = null, quiet = false } = {}) {
   markerClusterGroup.clearLayers();
   rectangleLayerGroup.clearLayers();
   regionMarkersGroup.clearLayers();
   Object.keys(messageStore).forEach(k => delete messageStore[k]);
   Object.keys(regionStore).forEach(k => delete regionStore[k]);
+  regionIdsByKey.clear();
   nextMsgId = 0;
   nextRegionId = 0;
   currentSelectedRegion = null; // Reset selected region
+  heatmapMessages = messages;
+  updateHeatmap();
 
   messages.forEach(msg => {
     if (!msg.locations || msg.locations.length === 0) return;
@@ -294,20 +2602,24 @@ function refreshMarkers(messages) {
         return;
       }
       
-      console.log(`Looking up location: "${location}" -> normalized key: "${locationKey}"`);
-      const coord = locationCache[locationKey];
-      console.log(`Found coordinate:`, coord);
+      const { key: resolvedKey, coord } = resolveLocation(location);
+      if (!quiet) {
+        console.log(`Looking up location: "${location}" -> resolved key: "${resolvedKey}"`);
+        console.log(`Found coordinate:`, coord);
+      }
       
       if (coord && coord !== null) {
-        addLocationToMap(coord, msg, location);
+        addLocationToMap(coord, msg, location, opacityFor ? opacityFor(msg) : 1);
+      } else if (quiet) {
+        return;
       } else if (coord === null) {
         console.warn(`Location "${location}" explicitly set to null in cache (geocoding failed)`);
       } else {
         console.warn(`Location "${location}" not found in cache. Looking for key: "${locationKey}"`);
         // Debug: Show all available keys for comparison
-        console.log(`Available cache keys:`, Object.keys(locationCache));
+        console.log(`Available cache keys:`, Object.keys(dataset.locationCache));
         // Debug: Show similar keys for troubleshooting
-        const similarKeys = Object.keys(locationCache).filter(key => 
+        const similarKeys = Object.keys(dataset.locationCache).filter(key => 
           key.includes(locationKey.split(' ')[0]) || locationKey.includes(key.split(' ')[0])
         );
         if (similarKeys.length > 0) {
@@ -318,15 +2630,17 @@ function refreshMarkers(messages) {
   });
 }
 
-function addLocationToMap(coord, msg, locationName) {
+function addLocationToMap(coord, msg, locationName, opacity = 1) {
   const msgId = `msg_${nextMsgId++}`;
   messageStore[msgId] = msg;
+  const isNewArrival = newMessageKeys.has(getMessageKey(msg));
 
   const popupContent = `
-    <div class="popup-cleaned" onclick="showDetailsFromStore('${msgId}')">
-      <strong>${locationName}:</strong><br>
-      ${msg.cleaned_text}
+    <div class="popup-cleaned" data-action="show-message" data-msg-id="${msgId}">
+      <strong>${escapeHtml(locationName)}:</strong><br>
+      ${renderMessageText(msg.cleaned_text)}
     </div>
+    <span class="popup-profile-link" data-action="show-location-profile" data-location="${escapeHtml(locationName)}">📍 About ${escapeHtml(locationName)}</span>
   `;
 
   // Check if it's a bounding box (has north, south, east, west) or point coordinates (has lat, lon)
@@ -336,22 +2650,22 @@ function addLocationToMap(coord, msg, locationName) {
     const centerLon = (coord.east + coord.west) / 2;
     
     // Check if we already have a region for this location
-    const existingRegionId = Object.keys(regionStore).find(id => 
-      regionStore[id].name === locationName && 
-      regionStore[id].bounds.north === coord.north &&
-      regionStore[id].bounds.south === coord.south &&
-      regionStore[id].bounds.east === coord.east &&
-      regionStore[id].bounds.west === coord.west
-    );
+    // Keyed by the resolved place, so different spellings share one region
+    const regionKey = `${resolveLocation(locationName).key}|${coord.north}|${coord.south}|${coord.east}|${coord.west}`;
+    const existingRegionId = regionIdsByKey.get(regionKey);
     
     if (existingRegionId) {
       // Add message to existing region
       regionStore[existingRegionId].messages.push(msg);
       // Update the region marker tooltip to reflect new count
       updateRegionMarker(existingRegionId);
+      // A region is as visible as its freshest message
+      const regionMarker = regionStore[existingRegionId].marker;
+      if (opacity > regionMarker.options.opacity) regionMarker.setOpacity(opacity);
     } else {
       // Create new region
       const regionId = `region_${nextRegionId++}`;
+      regionIdsByKey.set(regionKey, regionId);
       
       // Store region data for lookup
       regionStore[regionId] = {
@@ -369,12 +2683,12 @@ function addLocationToMap(coord, msg, locationName) {
       // Create a custom colored marker for regions
       const regionIcon = L.divIcon({
         className: 'region-marker',
-        html: `<div class="region-marker-icon" style="background-color: #ff6b35; border: 2px solid #fff; border-radius: 50%; width: 18px; height: 18px; box-shadow: 0 2px 6px rgba(0,0,0,0.3);"></div>`,
+        html: `<div class="region-marker-icon${isNewArrival ? ' new-arrival' : ''}" style="background-color: #ff6b35; border: 2px solid #fff; border-radius: 50%; width: 18px; height: 18px; box-shadow: 0 2px 6px rgba(0,0,0,0.3);"></div>`,
         iconSize: [22, 22],
         iconAnchor: [11, 11]
       });
       
-      const regionMarker = L.marker([centerLat, centerLon], { icon: regionIcon });
+      const regionMarker = L.marker([centerLat, centerLon], { icon: regionIcon, opacity });
       
       // Store reference to marker for updates
       regionStore[regionId].marker = regionMarker;
@@ -385,7 +2699,7 @@ function addLocationToMap(coord, msg, locationName) {
       });
       
       // Add tooltip showing region name
-      regionMarker.bindTooltip(`📍 ${locationName} (1 message)`, {
+      regionMarker.bindTooltip(`📍 ${escapeHtml(locationName)} (1 message)`, {
         permanent: false,
         direction: 'top',
         offset: [0, -10]
@@ -414,9 +2728,24 @@ function addLocationToMap(coord, msg, locationName) {
       rectangleLayerGroup.addLayer(rectangle); // Add to rectangle layer group (hidden)
     }
   } else if (coord.lat !== undefined && coord.lon !== undefined) {
-    // It's point coordinates - create a marker
-    const marker = L.marker([coord.lat, coord.lon]);
+    // It's point coordinates - create a marker in the channel's color
+    const pointIcon = L.divIcon({
+      className: 'channel-marker',
+      html: `<div class="channel-marker-icon" style="background-color: ${getChannelColor(msg.channel)};"></div>`,
+      iconSize: [16, 16],
+      iconAnchor: [8, 8],
+      popupAnchor: [0, -8]
+    });
+    const marker = L.marker([coord.lat, coord.lon], { icon: pointIcon, opacity });
+    marker.msgId = msgId; // lets cluster details find the message behind each marker
+    marker.channel = msg.channel; // for the cluster pie
     marker.bindPopup(popupContent);
+    if (isNewArrival) {
+      // The icon element only exists once the cluster group actually renders the marker
+      marker.on('add', () => {
+        if (newMessageKeys.has(getMessageKey(msg))) marker.getElement().classList.add('new-arrival');
+      });
+    }
     markerClusterGroup.addLayer(marker); // Add to cluster group for clustering
   } else {
     console.warn('Invalid coordinate format for location "' + locationName + '":', coord);
@@ -439,6 +2768,11 @@ function updateRegionMarker(regionId) {
   } else if (messageCount >= 5) {
     color = '#f59e0b'; // amber for medium activity
   }
+
+  // Flag regions that received live arrivals the user hasn't seen yet
+  if (region.messages.some(msg => newMessageKeys.has(getMessageKey(msg)))) {
+    activityClass += ' new-arrival';
+  }
   
   // Update the marker icon
   const regionIcon = L.divIcon({
@@ -452,7 +2786,7 @@ function updateRegionMarker(regionId) {
   
   // Update tooltip
   const plural = messageCount === 1 ? 'message' : 'messages';
-  region.marker.setTooltipContent(`📍 ${region.name} (${messageCount} ${plural})`);
+  region.marker.setTooltipContent(`📍 ${escapeHtml(region.name)} (${messageCount} ${plural})`);
 }
 
 function showRegionDetails(regionId) {
@@ -485,6 +2819,8 @@ function showRegionDetails(regionId) {
 
   // Set current selected region
   currentSelectedRegion = regionId;
+  currentDetailsMessageKey = null;
+  currentProfileLocation = null;
 
   // Auto-zoom to fit the region bounds
   const regionBounds = [
@@ -497,7 +2833,8 @@ function showRegionDetails(regionId) {
   });
 
   // Find all messages within this region's bounds (including sub-regions)
-  const messagesInRegion = findMessagesInRegion(region.bounds);
+  const messagesInRegion = findMessagesInRegion(dataset, region.bounds);
+  console.log(`Found ${messagesInRegion.length} messages in region bounds:`, region.bounds);
   
   // Categorize messages for better understanding
   const directMessages = region.messages || [];
@@ -512,11 +2849,13 @@ function showRegionDetails(regionId) {
   let content = `
     <div class="region-details">
       <div class="region-info">
-        <strong>Region:</strong> ${region.name}<br>
+        <strong>Region:</strong> ${escapeHtml(region.name)}<br>
         <strong>Messages about this region:</strong> ${directMessages.length}<br>
         <strong>Messages from areas within:</strong> ${additionalMessages}<br>
         <strong>Total Messages:</strong> ${totalMessages}<br>
-        <strong>Channels:</strong> ${channels.join(', ')}
+        <strong>Channels:</strong> ${channels.map(escapeHtml).join(', ')}
+        <button data-action="filter-to-region" data-region-id="${regionId}" title="Show only messages inside this region in every view">Filter to this area</button>
+        <button data-action="show-location-profile" data-location="${escapeHtml(region.name)}" title="History of this place across all dates">📍 Place profile</button>
       </div>
       <div class="region-messages">
         <h4>All messages in this region (showing most recent first):</h4>
@@ -525,56 +2864,55 @@ function showRegionDetails(regionId) {
   if (messagesInRegion.length === 0) {
     content += '<p>No messages found in this region.</p>';
   } else {
-    messagesInRegion.slice(0, 20).forEach((msg, index) => {
-      const date = new Date(msg.date).toLocaleString();
-      const relativeDate = getRelativeTime(msg.date);
-      
-      // Determine if this is a direct message or contained message
-      const isDirect = directMessages.some(dm => 
-        dm.id === msg.id || (dm.text === msg.text && dm.date === msg.date)
-      );
-      
-      const messageType = isDirect ? 'region' : 'sub-area';
-      const borderColor = isDirect ? '#ff6b35' : '#10b981';
-      const typeLabel = isDirect ? 'About Region' : 'Within Area';
-      
-      // Create clickable location links
-      const locationLinks = (msg.locations || []).map(location => {
-        const locationKey = location.trim().toLowerCase();
-        const coord = locationCache[locationKey];
-        
-        if (coord && coord !== null) {
-          return `<span class="clickable-location" onclick="goToLocation('${location}')">${location}</span>`;
-        } else {
-          return location; // Non-clickable if no coordinates
-        }
-      }).join(', ');
-      
-      content += `
-        <div class="message-item" style="margin-bottom: 10px; padding: 8px; border-left: 3px solid ${borderColor}; background: #f9f9f9;">
-          <div class="message-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
-            <span class="message-type" style="font-size: 0.7em; background: ${borderColor}; color: white; padding: 2px 6px; border-radius: 10px; font-weight: bold;">${typeLabel}</span>
-            <span class="message-time" style="font-size: 0.7em; color: #666;">${relativeDate}</span>
-          </div>
-          <div class="message-text" style="font-size: 0.9em; margin-bottom: 4px;">${msg.cleaned_text || msg.text}</div>
-          <div class="message-meta" style="font-size: 0.8em; color: #666;">
-            <strong>Channel:</strong> ${msg.channel} | 
-            <strong>Date:</strong> ${date}
-            ${locationLinks ? ` | <strong>Locations:</strong> ${locationLinks}` : ''}
-          </div>
-        </div>
-      `;
-    });
-    
-    if (messagesInRegion.length > 20) {
-      content += `<p style="color: #666; font-style: italic;">... and ${messagesInRegion.length - 20} more messages</p>`;
-    }
+    content += renderDetailsMessageList(messagesInRegion, msg => renderRegionMessageItem(msg, directMessages));
   }
   
   content += '</div></div>';
   
   document.getElementById('details-content').innerHTML = content;
   document.getElementById('details').style.display = 'block';
+  syncUrlState({ push: true });
+}
+
+// A message in a region's list, marked as being about the region itself or a place within it
+function renderRegionMessageItem(msg, directMessages) {
+  const date = formatDateTime(msg.date);
+  const relativeDate = getRelativeTime(msg.date);
+  
+  // Determine if this is a direct message or contained message
+  const isDirect = directMessages.some(dm => 
+    dm.id === msg.id || (dm.text === msg.text && dm.date === msg.date)
+  );
+  
+  const messageType = isDirect ? 'region' : 'sub-area';
+  const borderColor = isDirect ? '#ff6b35' : '#10b981';
+  const typeLabel = isDirect ? 'About Region' : 'Within Area';
+  
+  // Create clickable location links
+  const locationLinks = (msg.locations || []).map(location => {
+    const { coord } = resolveLocation(location);
+    
+    if (coord && coord !== null) {
+      return `<span class="clickable-location" data-action="go-to-location" data-location="${escapeHtml(location)}">${highlightSearchMatches(location, 'location')}</span>`;
+    } else {
+      return highlightSearchMatches(location, 'location'); // Non-clickable if no coordinates
+    }
+  }).join(', ');
+  
+  return `
+    <div class="message-item" style="margin-bottom: 10px; padding: 8px; border-left: 3px solid ${borderColor}; background: #f9f9f9;">
+      <div class="message-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
+        <span class="message-type" style="font-size: 0.7em; background: ${borderColor}; color: white; padding: 2px 6px; border-radius: 10px; font-weight: bold;">${typeLabel}</span>
+        <span class="message-time" style="font-size: 0.7em; color: #666;">${relativeDate}</span>
+      </div>
+      <div class="message-text" style="font-size: 0.9em; margin-bottom: 4px;">${highlightMessageText(msg.cleaned_text || msg.text)}</div>
+      <div class="message-meta" style="font-size: 0.8em; color: #666;">
+        <strong>Channel:</strong> ${highlightSearchMatches(msg.channel, 'channel')} | 
+        <strong>Date:</strong> ${date}
+        ${locationLinks ? ` | <strong>Locations:</strong> ${locationLinks}` : ''}
+      </div>
+    </div>
+  `;
 }
 
 function closeDetails() {
@@ -593,11 +2931,14 @@ function closeDetails() {
   });
   
   currentSelectedRegion = null;
+  currentDetailsMessageKey = null;
+  currentProfileLocation = null;
   
   // Remove rectangle layer when no region is selected
   if (map.hasLayer(rectangleLayerGroup)) {
     map.removeLayer(rectangleLayerGroup);
   }
+  syncUrlState();
 }
 
 function getRelativeTime(dateString) {
@@ -619,93 +2960,108 @@ function getRelativeTime(dateString) {
   }
 }
 
-function findMessagesInRegion(regionBounds) {
-  const messagesInRegion = [];
-  const addedMessages = new Set(); // Track messages to avoid duplicates
-  
-  // Check ALL messages from the dataset, not just messageStore
-  allMessages.forEach(msg => {
-    if (!msg.locations || msg.locations.length === 0) return;
-    
-    let messageIncluded = false;
-    
-    msg.locations.forEach(location => {
-      // Skip if we already added this message
-      if (messageIncluded) return;
-      
-      const locationKey = location.trim().toLowerCase();
-      const coord = locationCache[locationKey];
-      
-      if (!coord) return;
-      
-      // Check if this location is within the region bounds
-      if (isLocationInBounds(coord, regionBounds)) {
-        // Create unique identifier for message
-        const messageId = msg.id || `${msg.text}_${msg.date}_${msg.channel}`;
-        
-        if (!addedMessages.has(messageId)) {
-          messagesInRegion.push(msg);
-          addedMessages.add(messageId);
-          messageIncluded = true;
-        }
-      }
-    });
+// ---------------------------------------------------------------------------
+// Drawing areas on the map (leaflet-draw). One area is drawn at a time; it lists its
+// messages in the details panel and can then be applied as the area filter.
+// ---------------------------------------------------------------------------
+
+const AREA_SHAPE_STYLE = { color: '#6366f1', weight: 2, dashArray: '6 4', fillOpacity: 0.08 };
+
+function setupAreaDrawing() {
+  drawnAreaLayer = L.featureGroup().addTo(map);
+
+  map.addControl(new L.Control.Draw({
+    draw: {
+      polyline: false,
+      marker: false,
+      circlemarker: false,
+      rectangle: { shapeOptions: AREA_SHAPE_STYLE },
+      polygon: { shapeOptions: AREA_SHAPE_STYLE, allowIntersection: false },
+      circle: { shapeOptions: AREA_SHAPE_STYLE }
+    },
+    edit: { featureGroup: drawnAreaLayer }
+  }));
+
+  map.on(L.Draw.Event.DRAWSTART, () => { drawingArea = true; });
+  map.on(L.Draw.Event.DRAWSTOP, () => { drawingArea = false; });
+
+  map.on(L.Draw.Event.CREATED, (event) => {
+    drawnArea = getAreaFromLayer(event.layer, event.layerType);
+    renderAreaLayer();
+    showAreaDetails(drawnArea);
+  });
+
+  // Edits and deletions apply to whichever area is on the map
+  map.on(L.Draw.Event.EDITED, (event) => {
+    event.layers.eachLayer(layer => replaceShownArea(getAreaFromLayer(layer, layer.areaShape)));
+  });
+  map.on(L.Draw.Event.DELETED, (event) => {
+    if (event.layers.getLayers().length > 0) replaceShownArea(null);
   });
-  
-  console.log(`Found ${messagesInRegion.length} messages in region bounds:`, regionBounds);
-  
-  return messagesInRegion.sort((a, b) => new Date(b.date) - new Date(a.date));
 }
 
-function isLocationInBounds(coord, bounds) {
-  // Handle point coordinates (individual markers)
-  if (coord.lat !== undefined && coord.lon !== undefined) {
-    const withinBounds = coord.lat >= bounds.south && coord.lat <= bounds.north &&
-                        coord.lon >= bounds.west && coord.lon <= bounds.east;
-    
-    if (withinBounds) {
-      console.log(`Point location [${coord.lat}, ${coord.lon}] is within bounds:`, bounds);
+function replaceShownArea(area) {
+  if (drawnArea) {
+    drawnArea = area;
+    renderAreaLayer();
+    if (area) {
+      showAreaDetails(area);
+    } else {
+      closeDetails();
     }
-    
-    return withinBounds;
+  } else {
+    setAreaFilter(area);
   }
-  
-  // Handle bounding box coordinates (sub-regions) - STRICT containment only
-  if (coord.north !== undefined && coord.south !== undefined && 
-      coord.east !== undefined && coord.west !== undefined) {
-    
-    // Check if the sub-region is COMPLETELY contained within the main region
-    // Sub-region must be entirely inside, not just overlapping
-    const completelyContained = coord.south >= bounds.south && 
-                               coord.north <= bounds.north &&
-                               coord.west >= bounds.west && 
-                               coord.east <= bounds.east;
-    
-    if (completelyContained) {
-      console.log(`Sub-region completely contained within main region:`, {
-        subRegion: coord,
-        mainRegion: bounds
-      });
-    }
-    
-    return completelyContained;
+}
+
+function getAreaFromLayer(layer, shape) {
+  if (shape === 'circle') {
+    const center = layer.getLatLng();
+    return createCircleArea('Drawn circle', { lat: center.lat, lon: center.lng }, layer.getRadius());
   }
-  
-  console.warn('Invalid coordinate format:', coord);
-  return false;
+  if (shape === 'polygon') {
+    return createPolygonArea('Drawn polygon', layer.getLatLngs()[0].map(latlng => [latlng.lat, latlng.lng]));
+  }
+  const bounds = layer.getBounds();
+  return createRectangleArea('Drawn rectangle', {
+    north: bounds.getNorth(), south: bounds.getSouth(), east: bounds.getEast(), west: bounds.getWest()
+  });
+}
+
+function createAreaLayer(area) {
+  let layer;
+  if (area.shape === 'circle') {
+    layer = L.circle([area.center.lat, area.center.lon], { ...AREA_SHAPE_STYLE, radius: area.radius });
+  } else if (area.shape === 'polygon') {
+    layer = L.polygon(area.points, AREA_SHAPE_STYLE);
+  } else {
+    layer = L.rectangle([[area.bounds.south, area.bounds.west], [area.bounds.north, area.bounds.east]], AREA_SHAPE_STYLE);
+  }
+  layer.areaShape = area.shape || 'rectangle';
+  layer.bindTooltip(escapeHtml(area.name));
+  return layer;
+}
+
+// Show the pending drawing, or else the active area filter
+function renderAreaLayer() {
+  if (!drawnAreaLayer) return;
+  drawnAreaLayer.clearLayers();
+  const area = drawnArea || filterState.area;
+  if (area) drawnAreaLayer.addLayer(createAreaLayer(area));
 }
 
 function showDetailsFromStore(msgId) {
   const msg = messageStore[msgId];
-  if (!msg) return;
+  if (msg) showMessageDetails(msg);
+}
 
+function showMessageDetails(msg) {
   // Create clickable location links only for locations with valid coordinates
   const validLocationLinks = (msg.locations || []).map(location => {
-    const locationKey = location.trim().toLowerCase();
-    const coord = locationCache[locationKey];
+    const { coord } = resolveLocation(location);
     
     if (coord && coord !== null) {
-      return `<span class="clickable-location" onclick="goToLocation('${location}')">${location}</span>`;
+      return `<span class="clickable-location" data-action="go-to-location" data-location="${escapeHtml(location)}">${highlightSearchMatches(location, 'location')}</span>`;
     } else {
       return null; // Return null for locations without coordinates
     }
@@ -716,73 +3072,222 @@ function showDetailsFromStore(msgId) {
     ? `<br><strong>Extracted Locations:</strong> ${validLocationLinks.join(', ')}`
     : '';
 
+  currentDetailsMessageKey = getMessageKey(msg);
+  currentProfileLocation = null;
   document.getElementById('details-title').textContent = 'Message Details';
   document.getElementById('details-content').innerHTML = `
     <div class="message-item">
       <div class="message-text"><strong>Original Text:</strong></div>
-      <div class="original-text">${msg.text}</div>
+      <div class="original-text">${highlightMessageText(msg.text)}</div>
+      <div class="message-meta">
+        <strong>Channel:</strong> ${highlightSearchMatches(msg.channel, 'channel')}<br>
+        <strong>Date:</strong> ${formatDateTime(msg.date)}${locationsSection}
+      </div>
+      <div class="message-annotation">
+        <h4>${renderStarToggle(currentDetailsMessageKey)} Bookmark and notes</h4>
+        ${renderAnnotationEditor(currentDetailsMessageKey)}
+      </div>
+    </div>
+  `;
+
+  document.getElementById('details').style.display = 'block';
+  syncUrlState({ push: true });
+}
+
+function showClusterDetails(markers) {
+  const messages = markers.map(marker => messageStore[marker.msgId] || null)
+    .filter(msg => msg !== null);
+
+  if (messages.length === 0) return;
+
+  // Clusters aren't part of the link; they change with every zoom
+  currentDetailsMessageKey = null;
+  currentProfileLocation = null;
+  document.getElementById('details-title').textContent = `Cluster Details (${messages.length} messages)`;
+  
+  const contentHtml = renderDetailsMessageList(messages, renderDetailsMessageItem);
+
+  document.getElementById('details-content').innerHTML = contentHtml;
+  document.getElementById('details').style.display = 'block';
+  syncUrlState();
+}
+
+// A long message list for the details panel: the first page, then "Show more" a page at a time
+function renderDetailsMessageList(messages, renderItem) {
+  const entries = getStoryEntries(messages);
+  const shown = Math.min(entries.length, DETAILS_PAGE_SIZE);
+  detailsMessageList = { messages, entries, renderItem, shown };
+  return `
+    <div class="details-message-list">${entries.slice(0, shown).map(renderDetailsEntry).join('')}</div>
+    ${renderDetailsMoreButton()}
+  `;
+}
+
+// A list item, with its story's reposts summarized underneath
+function renderDetailsEntry(entry) {
+  const { msg, reports, storyId } = entry;
+  const item = detailsMessageList.renderItem(msg);
+  if (reports.length === 1) return item;
+  return `<div class="story-entry" data-story-card="${storyId}">${item}${renderStorySummary(reports, storyId)}</div>`;
+}
+
+function renderDetailsMoreButton() {
+  const remaining = detailsMessageList.entries.length - detailsMessageList.shown;
+  if (remaining <= 0) return '';
+  return `<button class="details-more" data-action="details-show-more">Show ${Math.min(remaining, DETAILS_PAGE_SIZE)} more (${remaining} remaining)</button>`;
+}
+
+function showMoreDetailsMessages() {
+  const list = document.querySelector('#details-content .details-message-list');
+  const button = document.querySelector('#details-content .details-more');
+  if (!detailsMessageList || !list) return;
+
+  const { entries, shown } = detailsMessageList;
+  const page = entries.slice(shown, shown + DETAILS_PAGE_SIZE);
+  list.insertAdjacentHTML('beforeend', page.map(renderDetailsEntry).join(''));
+  detailsMessageList.shown += page.length;
+  if (button) button.outerHTML = renderDetailsMoreButton();
+}
+
+// One message in a list in the details panel
+function renderDetailsMessageItem(msg) {
+  // Create clickable location links only for locations with valid coordinates
+  const validLocationLinks = (msg.locations || []).map(location => {
+    const { coord } = resolveLocation(location);
+    
+    if (coord && coord !== null) {
+      return `<span class="clickable-location" data-action="go-to-location" data-location="${escapeHtml(location)}">${highlightSearchMatches(location, 'location')}</span>`;
+    } else {
+      return null; // Return null for locations without coordinates
+    }
+  }).filter(link => link !== null); // Filter out null values
+
+  // Only show locations section if there are valid locations
+  const locationsSection = validLocationLinks.length > 0 
+    ? ` | <strong>Locations:</strong> ${validLocationLinks.join(', ')}`
+    : '';
+
+  const messageKey = getMessageKey(msg);
+  return `
+    <div class="message-item">
+      <div class="original-text">${highlightMessageText(msg.text)}</div>
       <div class="message-meta">
-        <strong>Channel:</strong> ${msg.channel}<br>
-        <strong>Date:</strong> ${new Date(msg.date).toLocaleString()}${locationsSection}
+        ${renderStarToggle(messageKey)}
+        <strong>Channel:</strong> ${highlightSearchMatches(msg.channel, 'channel')} | 
+        <strong>Date:</strong> ${formatDateTime(msg.date)}${locationsSection}
       </div>
+      ${renderAnnotationSummary(messageKey)}
     </div>
   `;
+}
+
+function showAreaDetails(area) {
+  const messages = [...findMessagesInArea(dataset, area)].sort((a, b) => new Date(b.date) - new Date(a.date));
+  const channels = [...new Set(messages.map(msg => msg.channel))];
+
+  // Drawn areas aren't part of the link until they're applied as a filter
+  currentSelectedRegion = null;
+  currentDetailsMessageKey = null;
+  currentProfileLocation = null;
+  document.getElementById('details-title').textContent = `Area: ${area.name}`;
+
+  let content = `
+    <div class="region-details">
+      <div class="region-info">
+        <strong>Messages with a location inside:</strong> ${messages.length}<br>
+        <strong>Channels:</strong> ${channels.map(escapeHtml).join(', ') || 'none'}
+        ${area === drawnArea ? '<button data-action="filter-to-drawn-area" title="Show only messages inside this area in every view">Filter to this area</button>' : ''}
+        <button data-action="watch-area" title="Get notified of new messages inside this area">🔔 Watch this area</button>
+      </div>
+      <div class="region-messages">
+        <h4>All messages in this area (showing most recent first):</h4>
+  `;
+
+  if (messages.length === 0) {
+    content += '<p>No messages found in this area.</p>';
+  } else {
+    content += renderDetailsMessageList(messages, renderDetailsMessageItem);
+  }
+
+  content += '</div></div>';
 
+  document.getElementById('details-content').innerHTML = content;
   document.getElementById('details').style.display = 'block';
+  syncUrlState();
 }
 
-function showClusterDetails(markers) {
-  const messages = markers.map(marker => {
-    // Extract message ID from popup content
-    const popupContent = marker.getPopup().getContent();
-    const msgIdMatch = popupContent.match(/showDetailsFromStore\('([^']+)'\)/);
-    if (msgIdMatch) {
-      return messageStore[msgIdMatch[1]];
-    }
-    return null;
-  }).filter(msg => msg !== null);
+// ---------------------------------------------------------------------------
+// Place profiles: a location's history across all dates, whatever the filters
+// ---------------------------------------------------------------------------
 
-  if (messages.length === 0) return;
+const PROFILE_NEARBY_RADIUS_M = 5000;
+const PROFILE_NEARBY_LIMIT = 6;
 
-  document.getElementById('details-title').textContent = `Cluster Details (${messages.length} messages)`;
-  
-  const contentHtml = messages.map(msg => {
-    // Create clickable location links only for locations with valid coordinates
-    const validLocationLinks = (msg.locations || []).map(location => {
-      const locationKey = location.trim().toLowerCase();
-      const coord = locationCache[locationKey];
-      
-      if (coord && coord !== null) {
-        return `<span class="clickable-location" onclick="goToLocation('${location}')">${location}</span>`;
-      } else {
-        return null; // Return null for locations without coordinates
-      }
-    }).filter(link => link !== null); // Filter out null values
+// moveMap: false redraws an open profile without moving the map
+function showLocationProfile(locationName, { moveMap = true } = {}) {
+  const { key, coord } = resolveLocation(locationName);
+  const messages = getLocationMessages(dataset, key);
+  const name = getLocationDisplayName(dataset, key, messages);
 
-    // Only show locations section if there are valid locations
-    const locationsSection = validLocationLinks.length > 0 
-      ? ` | <strong>Locations:</strong> ${validLocationLinks.join(', ')}`
-      : '';
+  closeDetails();
+  if (coord && moveMap) goToLocation(locationName);
+  currentProfileLocation = key;
+  document.getElementById('details-title').textContent = `📍 ${name}`;
 
-    return `
-      <div class="message-item">
-        <div class="original-text">${msg.text}</div>
-        <div class="message-meta">
-          <strong>Channel:</strong> ${msg.channel} | 
-          <strong>Date:</strong> ${new Date(msg.date).toLocaleString()}${locationsSection}
-        </div>
-      </div>
-    `;
-  }).join('');
+  if (messages.length === 0) {
+    document.getElementById('details-content').innerHTML = '<p>No messages mention this place.</p>';
+    document.getElementById('details').style.display = 'block';
+    syncUrlState({ push: true });
+    return;
+  }
 
-  document.getElementById('details-content').innerHTML = contentHtml;
+  const newest = messages[0];
+  const oldest = messages[messages.length - 1];
+  const buckets = getDashboardBuckets(messages, 'day');
+  const [daily] = countMessagesByBucket(messages, buckets);
+  const peak = Math.max(...daily.counts);
+  const peakDay = buckets[daily.counts.indexOf(peak)].day;
+
+  const channelsHtml = getChannelCounts(messages).map(({ channel, count }) => `
+    <span class="profile-chip"><span class="channel-swatch" style="background-color: ${getChannelColor(channel)};"></span>${escapeHtml(channel)} <strong>${count}</strong></span>
+  `).join('');
+
+  const nearby = findNearbyLocations(dataset, key, PROFILE_NEARBY_RADIUS_M, PROFILE_NEARBY_LIMIT);
+  const nearbyHtml = nearby.length > 0
+    ? nearby.map(({ entry, distance }) => {
+      const nearbyName = getLocationDisplayName(dataset, entry.key, entry.messages);
+      return `<span class="profile-chip clickable-location" data-action="show-location-profile" data-location="${escapeHtml(nearbyName)}">${escapeHtml(nearbyName)} <small>${(distance / 1000).toFixed(1)} km</small></span>`;
+    }).join('')
+    : '<span class="profile-empty">No other mentioned places within 5 km.</span>';
+
+  document.getElementById('details-content').innerHTML = `
+    <div class="region-details location-profile">
+      <div class="region-info">
+        <strong>Messages mentioning it:</strong> ${messages.length} (all dates)<br>
+        <strong>First mention:</strong> ${formatDateTime(oldest.date)}<br>
+        <strong>Last mention:</strong> ${formatDateTime(newest.date)} (${getRelativeTime(newest.date)})
+        <button data-action="watch-location" data-location="${escapeHtml(name)}" title="Get notified of new messages about this place">🔔 Watch this place</button>
+      </div>
+      <h4>Mentions per day (${escapeHtml(getTimeZoneLabel())})</h4>
+      ${renderSparklineSvg(daily.counts)}
+      <p class="profile-caption">${buckets[0].day} to ${buckets[buckets.length - 1].day}, peak of ${peak} on ${peakDay}</p>
+      <h4>Channels reporting</h4>
+      <div class="profile-chips">${channelsHtml}</div>
+      <h4>Nearby</h4>
+      <div class="profile-chips">${nearbyHtml}</div>
+      <div class="region-messages">
+        <h4>All messages (most recent first):</h4>
+        ${renderDetailsMessageList(messages, renderDetailsMessageItem)}
+      </div>
+    </div>
+  `;
   document.getElementById('details').style.display = 'block';
+  syncUrlState({ push: true });
 }
 
 // Function to navigate to a specific location on the map
 function goToLocation(locationName) {
-  const locationKey = locationName.trim().toLowerCase();
-  const coord = locationCache[locationKey];
+  const { coord } = resolveLocation(locationName);
   
   if (!coord || coord === null) {
     console.warn(`Cannot navigate to location "${locationName}" - no coordinates found`);
@@ -805,35 +3310,32 @@ function goToLocation(locationName) {
   }
 }
 
-// View switching functionality
-function toggleView() {
-  const newView = currentView === 'map' ? 'events' : 'map';
-  const toggleButton = document.getElementById('view-toggle');
+// View switching functionality: switch to the named view, or without one flip between map and timeline
+function toggleView(view) {
+  const newView = VIEWS.includes(view) ? view : (currentView === 'map' ? 'events' : 'map');
+  if (newView === currentView) return;
   
   currentView = newView;
   
   // Hide all views
-  document.querySelectorAll('.view-container').forEach(view => {
-    view.classList.remove('active');
+  document.querySelectorAll('.view-container').forEach(container => {
+    container.classList.remove('active');
   });
   
   // Show selected view
   document.getElementById(newView + '-view').classList.add('active');
   
-  // Update button text
-  if (newView === 'map') {
-    toggleButton.innerHTML = '📅 Switch to Events Timeline';
-  } else {
-    toggleButton.innerHTML = '🗺️ Switch to Map View';
-  }
+  // Mark the current view in the switcher
+  document.querySelectorAll('#view-switcher [data-view]').forEach(button => {
+    button.classList.toggle('active', button.dataset.view === newView);
+  });
   
-  // If switching to events view, ensure data is loaded and rendered
+  // Every view shows the same filtered messages; re-render the one coming up so it is current
   if (newView === 'events') {
-    if (filteredEventsMessages.length === 0 && allMessages.length > 0) {
-      filteredEventsMessages = [...allMessages].sort((a, b) => new Date(b.date) - new Date(a.date));
-    }
-    renderEventsTimeline(filteredEventsMessages);
-    updateEventsStats(filteredEventsMessages);
+    renderEventsTimeline(filteredMessages);
+    updateEventsStats(filteredMessages);
+  } else if (newView === 'dashboard') {
+    renderDashboard();
   }
   
   // If switching back to map, invalidate size to fix display issues
@@ -842,330 +3344,265 @@ function toggleView() {
       map.invalidateSize();
     }, 100);
   }
-}
 
-// Initialize events data
-function initEventsData(messages) {
-  // Sort messages by date (newest first)
-  const sortedMessages = [...messages].sort((a, b) => new Date(b.date) - new Date(a.date));
-  
-  // Initialize events date filter inputs
-  initEventsDateFilterInputs(sortedMessages);
-  
-  // Initialize channel filter dropdown
-  initChannelFilter(sortedMessages);
-  
-  filteredEventsMessages = sortedMessages;
+  syncUrlState({ push: true });
 }
 
-function initEventsDateFilterInputs(messages) {
-  if (!messages.length) return;
-  
-  const dates = messages.map(m => new Date(m.date));
-  const minDate = new Date(Math.min(...dates));
-  const maxDate = new Date(Math.max(...dates));
-  const toDateInputValue = d => d.toISOString().split('T')[0];
+function showSearchQueryError(error) {
+  const errorElement = document.getElementById('search-error');
+  const searchInput = document.getElementById('search-text');
+  if (!errorElement) return;
 
-  document.getElementById('events-start-date').value = toDateInputValue(minDate);
-  document.getElementById('events-start-date').min = toDateInputValue(minDate);
-  document.getElementById('events-start-date').max = toDateInputValue(maxDate);
+  if (error) {
+    errorElement.textContent = `${error.message} (at character ${error.position + 1})`;
+    errorElement.style.display = 'block';
+    searchInput.classList.add('invalid');
+  } else {
+    errorElement.textContent = '';
+    errorElement.style.display = 'none';
+    searchInput.classList.remove('invalid');
+  }
+}
 
-  document.getElementById('events-end-date').value = toDateInputValue(maxDate);
-  document.getElementById('events-end-date').min = toDateInputValue(minDate);
-  document.getElementById('events-end-date').max = toDateInputValue(maxDate);
+// Relevance order only means something while there is a search to rank against
+function isRankingByRelevance(criteria) {
+  const sortSelect = document.getElementById('events-sort');
+  return !!criteria.searchText && !!sortSelect && sortSelect.value === 'relevance';
 }
 
-function initChannelFilter(messages) {
-  const channelSelect = document.getElementById('events-channel-filter');
-  if (!channelSelect || !messages.length) return;
+function sortEventsMessages(messages) {
+  const byDate = (a, b) => new Date(b.date) - new Date(a.date);
+  if (!eventsRankedByRelevance) {
+    return [...messages].sort(byDate);
+  }
+  return [...messages].sort((a, b) => (eventsScores.get(b) || 0) - (eventsScores.get(a) || 0) || byDate(a, b));
+}
 
-  // Get unique channels from messages
-  const uniqueChannels = [...new Set(messages.map(m => m.channel))].sort();
-  
-  // Clear existing options except "All Channels"
-  channelSelect.innerHTML = '<option value="">All Channels</option>';
-  
-  // Add channel options
-  uniqueChannels.forEach(channel => {
-    const option = document.createElement('option');
-    option.value = channel;
-    option.textContent = channel;
-    channelSelect.appendChild(option);
-  });
+// Re-sort what is on screen; scores are already known for every result
+function onEventsSortChange() {
+  const criteria = getFilterCriteria();
+  if (!criteria || getSearchQueryError(criteria.searchText)) return;
+  if (pendingEventsQuery) {
+    pendingEventsQuery.criteria = criteria; // the next progress render picks the new order up
+    return;
+  }
 
-  console.log('Channel filter initialized with channels:', uniqueChannels);
+  eventsRankedByRelevance = isRankingByRelevance(criteria);
+  filteredMessages = sortEventsMessages(filteredMessages);
+  renderEventsTimeline(filteredMessages);
+  syncUrlState();
 }
 
-function applyEventsFilters() {
-  const startDateInput = document.getElementById('events-start-date').value;
-  const endDateInput = document.getElementById('events-end-date').value;
-  const searchText = document.getElementById('events-search-text').value.toLowerCase().trim();
-  const selectedChannel = document.getElementById('events-channel-filter').value;
+// Debounced entry point for typing in the search box
+function scheduleSearchFilter() {
+  clearTimeout(searchFilterTimer);
+  searchFilterTimer = setTimeout(applyFilters, SEARCH_DEBOUNCE_MS);
+}
 
-  console.log('Raw filter inputs:', {
-    startDateInput,
-    endDateInput,
-    searchText,
-    selectedChannel,
-    totalMessages: allMessages.length
-  });
+// Show filtered messages on the timeline (newest first or by relevance) and the map.
+// searching marks partial results from a running query; the map waits for the final set.
+function showFilterResults(messages, criteria, searching = false) {
+  eventsRankedByRelevance = isRankingByRelevance(criteria);
+  filteredMessages = sortEventsMessages(messages);
 
-  // Handle date filtering - if ANY date is specified, use it
-  let startDate = null;
-  let endDate = null;
-  
-  if (startDateInput || endDateInput) {
-    // If only one date is specified, create a range
-    if (startDateInput && !endDateInput) {
-      // Create start of day in UTC to match message timezone
-      startDate = new Date(startDateInput + 'T00:00:00.000Z');
-      endDate = new Date(startDateInput + 'T23:59:59.999Z');
-    } else if (!startDateInput && endDateInput) {
-      // Create start of day in UTC to match message timezone  
-      startDate = new Date(endDateInput + 'T00:00:00.000Z');
-      endDate = new Date(endDateInput + 'T23:59:59.999Z');
-    } else {
-      // Both dates specified - create full day ranges in UTC
-      startDate = new Date(startDateInput + 'T00:00:00.000Z');
-      endDate = new Date(endDateInput + 'T23:59:59.999Z');
-    }
-    
-    if (startDate > endDate) {
-      alert("Start date can't be after end date.");
-      return;
-    }
+  if (!searching) {
+    console.log('Filtered results:', {
+      totalMessages: dataset.messages.length,
+      filteredCount: filteredMessages.length,
+      hasStartDate: !!criteria.startDate,
+      hasEndDate: !!criteria.endDate,
+      hasSearchText: !!criteria.searchText,
+      hasChannelFilter: criteria.selectedChannels.length > 0,
+      selectedChannels: criteria.selectedChannels.length > 0 ? criteria.selectedChannels : 'All Channels',
+      hasAreaFilter: !!criteria.area,
+      sampleFilteredMessages: filteredMessages.slice(0, 2).map(msg => ({
+        date: msg.date,
+        channel: msg.channel,
+        text: msg.text?.substring(0, 50)
+      }))
+    });
+
+    // Playback replays the filtered set rather than showing it all at once
+    if (!playbackState.active) refreshMapKeepingSelection(filteredMessages);
+    updatePlaybackRange();
+    if (currentView === 'dashboard') renderDashboard();
   }
 
-  console.log('Processed filter inputs:', {
-    startDate: startDate ? startDate.toISOString() : 'none',
-    endDate: endDate ? endDate.toISOString() : 'none',
-    searchText,
-    timezone: 'Filter dates created in UTC to match message data'
-  });
+  renderEventsTimeline(filteredMessages);
+  updateEventsStats(filteredMessages, { searching });
+}
+
+// Redraw the map for new results, keeping an open region selected if it is still there
+function refreshMapKeepingSelection(messages) {
+  const selectedRegion = currentSelectedRegion && regionStore[currentSelectedRegion];
+  refreshMarkers(messages);
+  if (!selectedRegion) return;
+
+  const regionId = Object.keys(regionStore).find(id => regionStore[id].name === selectedRegion.name);
+  if (!regionId) {
+    closeDetails();
+    return;
+  }
+  currentSelectedRegion = regionId;
+  if (regionStore[regionId].rectangle) {
+    regionStore[regionId].rectangle.setStyle({ opacity: 0.8, fillOpacity: 0.15 });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Search worker: run the events filter pipeline off the main thread
+// ---------------------------------------------------------------------------
 
-  // Debug: Log sample message dates to understand the data format
-  if (allMessages.length > 0) {
-    console.log('Sample message dates from data:', allMessages.slice(0, 3).map(msg => ({
-      originalDate: msg.date,
-      parsedDate: new Date(msg.date).toISOString(),
-      dateObject: new Date(msg.date)
-    })));
+function initSearchWorker() {
+  if (typeof Worker === 'undefined') {
+    console.warn('Web Workers unavailable, filtering on the main thread');
+    return;
   }
 
-  filteredEventsMessages = allMessages.filter(msg => {
-    // Date filter - only apply if we have valid dates
-    let passesDateFilter = true;
-    if (startDate && endDate) {
-      const msgDate = new Date(msg.date);
-      passesDateFilter = msgDate >= startDate && msgDate <= endDate;
-      
-      // Debug: Log date comparisons for first few messages
-      if (allMessages.indexOf(msg) < 3) {
-        console.log('Date comparison debug:', {
-          msgDateOriginal: msg.date,
-          msgDateParsed: msgDate.toISOString(),
-          startDateFilter: startDate.toISOString(),
-          endDateFilter: endDate.toISOString(),
-          msgDateMs: msgDate.getTime(),
-          startDateMs: startDate.getTime(),
-          endDateMs: endDate.getTime(),
-          passesDateFilter,
-          msgDateGeStartDate: msgDate >= startDate,
-          msgDateLeEndDate: msgDate <= endDate
-        });
-      }
+  try {
+    searchWorker = new Worker('search-worker.js');
+  } catch (err) {
+    // e.g. pages opened from file:// can't start workers
+    console.warn('Could not start search worker, filtering on the main thread:', err);
+    searchWorker = null;
+    return;
+  }
+
+  searchWorker.onmessage = onSearchWorkerMessage;
+  searchWorker.onerror = (event) => {
+    console.error('Search worker failed, filtering on the main thread instead:', event.message);
+    searchWorker.terminate();
+    searchWorker = null;
+
+    // Finish whatever was in flight synchronously
+    if (pendingEventsQuery) {
+      const { criteria } = pendingEventsQuery;
+      pendingEventsQuery = null;
+      runEventsQuery(criteria);
     }
+  };
+}
 
-    // Enhanced text search filter
-    const passesTextFilter = !searchText || isTextMatch(msg, searchText);
+function sendDatasetToSearchWorker() {
+  localSearchIndex = null;
+  if (searchWorker) {
+    searchWorker.postMessage({ type: 'dataset', messages: dataset.messages });
+  }
+}
 
-    // Channel filter
-    const passesChannelFilter = !selectedChannel || msg.channel === selectedChannel;
+// Filter dataset.messages for every view; newer queries supersede older ones
+function runEventsQuery(criteria) {
+  const queryId = ++eventsQueryId;
 
-    // Debug logging for search issues
-    if (searchText === 'gaza' && passesTextFilter) {
-      console.log('Found gaza match:', msg);
-    }
+  eventsScores.clear();
 
-    const passes = passesDateFilter && passesTextFilter && passesChannelFilter;
-    
-    // Log first few results for debugging
-    if (searchText === 'gaza') {
-      console.log('Message filter result:', {
-        msgDate: new Date(msg.date).toISOString(),
-        passesDateFilter,
-        passesTextFilter,
-        passesChannelFilter,
-        passes,
-        text: msg.text?.substring(0, 100)
-      });
+  if (!searchWorker) {
+    pendingEventsQuery = null;
+    if (criteria.searchText && !localSearchIndex) {
+      localSearchIndex = createSearchIndex();
+      addToSearchIndex(localSearchIndex, dataset.messages);
     }
 
-    return passes;
-  });
+    const matches = [];
+    dataset.messages.forEach((msg, index) => {
+      if (!passesEventsFilters(msg, criteria)) return;
+      matches.push(msg);
+      if (criteria.searchText) {
+        eventsScores.set(msg, scoreSearchResult(localSearchIndex, index, criteria.searchText));
+      }
+    });
+    showFilterResults(matches, criteria);
+    return;
+  }
 
-  console.log('Filtered results:', {
-    totalMessages: allMessages.length,
-    filteredCount: filteredEventsMessages.length,
-    hasStartDate: !!startDate,
-    hasEndDate: !!endDate,
-    hasSearchText: !!searchText,
-    hasChannelFilter: !!selectedChannel,
-    selectedChannel: selectedChannel || 'All Channels',
-    sampleFilteredMessages: filteredEventsMessages.slice(0, 2).map(msg => ({
-      date: msg.date,
-      channel: msg.channel,
-      text: msg.text?.substring(0, 50)
-    }))
-  });
+  pendingEventsQuery = { id: queryId, criteria, matches: [], lastRender: 0 };
 
-  renderEventsTimeline(filteredEventsMessages);
-  updateEventsStats(filteredEventsMessages);
+  // The worker has its own copies of the messages, so the area and bookmarks go over as dataset indices
+  const { areaMessages, bookmarkMessages, ...workerCriteria } = criteria;
+  workerCriteria.timeZone = getDisplayTimeZone(); // for the days in after:/before:
+  if (areaMessages) workerCriteria.areaIndices = getMessageIndices(areaMessages);
+  if (bookmarkMessages) workerCriteria.bookmarkIndices = getMessageIndices(bookmarkMessages);
+  searchWorker.postMessage({ type: 'query', id: queryId, criteria: workerCriteria });
+  updateEventsStats(filteredMessages, { searching: true });
 }
 
-// Enhanced search function with multiple search strategies
-function isTextMatch(msg, searchText) {
-  // If no search text, everything matches
-  if (!searchText) return true;
-  
-  // Split search text into individual words for more flexible matching
-  const searchWords = searchText.toLowerCase()
-    .split(/\s+/)
-    .filter(word => word.length > 0);
-  
-  if (searchWords.length === 0) return true;
-
-  // Prepare text fields for searching (normalize text)
-  const textFields = [
-    msg.text || '',
-    msg.cleaned_text || '', 
-    msg.channel || '',
-    ...(msg.locations || [])
-  ].map(field => normalizeText(field.toString()));
-
-  // Debug logging for search issues
-  if (searchText === 'gaza') {
-    console.log('Debugging gaza search:');
-    console.log('Message:', msg);
-    console.log('Search words:', searchWords);
-    console.log('Text fields:', textFields);
-    console.log('Original locations:', msg.locations);
-  }
-
-  // Strategy 1: All words must appear somewhere in the message (most lenient)
-  const allWordsMatch = searchWords.every(word => 
-    textFields.some(field => field.includes(word))
-  );
+// Positions in dataset.messages of the messages in a set
+function getMessageIndices(messages) {
+  const indices = [];
+  dataset.messages.forEach((msg, index) => {
+    if (messages.has(msg)) indices.push(index);
+  });
+  return indices;
+}
 
-  // Strategy 2: At least one field contains all search words
-  const singleFieldMatch = textFields.some(field => 
-    searchWords.every(word => field.includes(word))
-  );
+// Drop any in-flight query so its results are ignored when they arrive
+function cancelEventsQuery() {
+  clearTimeout(searchFilterTimer);
+  eventsQueryId++;
+  pendingEventsQuery = null;
+}
 
-  // Strategy 3: Fuzzy matching for typos (if search is longer than 3 chars)
-  const fuzzyMatch = searchWords.some(word => {
-    if (word.length <= 3) return false;
-    return textFields.some(field => 
-      fuzzyStringMatch(field, word, 0.8) // 80% similarity threshold
-    );
-  });
+function onSearchWorkerMessage(event) {
+  const { id, matches, scores, done } = event.data;
+  const query = pendingEventsQuery;
+  if (!query || id !== query.id) return; // stale result from a superseded query
 
-  // Strategy 4: Partial word matching (for abbreviations or partial typing)
-  const partialMatch = searchWords.some(word => {
-    if (word.length <= 2) return false;
-    return textFields.some(field => {
-      const fieldWords = field.split(/\s+/);
-      return fieldWords.some(fieldWord => 
-        fieldWord.startsWith(word) || word.startsWith(fieldWord)
-      );
-    });
+  matches.forEach((index, i) => {
+    const msg = dataset.messages[index];
+    query.matches.push(msg);
+    eventsScores.set(msg, scores[i]);
   });
 
-  const finalMatch = allWordsMatch || singleFieldMatch || fuzzyMatch || partialMatch;
-
-  // Debug logging for search issues
-  if (searchText === 'gaza') {
-    console.log('Match results:', {
-      allWordsMatch,
-      singleFieldMatch,
-      fuzzyMatch,
-      partialMatch,
-      finalMatch
-    });
+  // Render partial results as they come in, but not on every slice
+  const now = Date.now();
+  if (done || (query.matches.length > 0 && now - query.lastRender >= PROGRESSIVE_RENDER_MS)) {
+    query.lastRender = now;
+    showFilterResults(query.matches, query.criteria, !done);
   }
 
-  // Return true if any strategy matches
-  return finalMatch;
+  if (done) {
+    pendingEventsQuery = null;
+  }
 }
 
-// Normalize text for better searching
-function normalizeText(text) {
-  return text.toLowerCase()
-    .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
-    .replace(/\s+/g, ' ')     // Collapse multiple spaces
-    .trim();
+// The active search; matches are highlighted wherever messages are shown
+function getActiveSearchText() {
+  return filterState.searchText;
 }
 
-// Simple fuzzy string matching using Levenshtein distance
-function fuzzyStringMatch(text, pattern, threshold = 0.8) {
-  const words = text.split(/\s+/);
-  return words.some(word => {
-    if (Math.abs(word.length - pattern.length) > pattern.length * 0.4) {
-      return false; // Too different in length
-    }
-    const similarity = calculateSimilarity(word, pattern);
-    return similarity >= threshold;
-  });
+// Escaped channel/location name with the active search's matches marked
+function highlightSearchMatches(text, field) {
+  const value = String(text ?? '');
+  return renderPlainText(value, findHighlightRanges(value, getActiveSearchText(), field));
 }
 
-// Calculate similarity between two strings (0 = no match, 1 = perfect match)
-function calculateSimilarity(str1, str2) {
-  const maxLength = Math.max(str1.length, str2.length);
-  if (maxLength === 0) return 1;
-  
-  const distance = levenshteinDistance(str1, str2);
-  return (maxLength - distance) / maxLength;
+// Escaped message body (line breaks and links kept) with the active search's matches marked
+function highlightMessageText(text) {
+  const value = String(text ?? '');
+  return renderMessageText(value, findHighlightRanges(value, getActiveSearchText(), 'text'));
 }
 
-// Levenshtein distance calculation
-function levenshteinDistance(str1, str2) {
-  const matrix = Array(str2.length + 1).fill(null).map(() => 
-    Array(str1.length + 1).fill(null)
-  );
-
-  for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
-  for (let j = 0; j <= str2.length; j++) matrix[j][0] = j;
-
-  for (let j = 1; j <= str2.length; j++) {
-    for (let i = 1; i <= str1.length; i++) {
-      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-      matrix[j][i] = Math.min(
-        matrix[j][i - 1] + 1,     // insertion
-        matrix[j - 1][i] + 1,     // deletion
-        matrix[j - 1][i - 1] + cost // substitution
-      );
-    }
-  }
+// Which variants the ~terms matched in a message, e.g. "~rafa → Rafah"
+function describeFuzzyMatches(msg) {
+  const searchText = getActiveSearchText();
+  if (!searchText.includes('~')) return [];
 
-  return matrix[str2.length][str1.length];
-}
+  const fields = [[msg.text, 'text'], [msg.cleaned_text, 'text'], [msg.channel, 'channel']];
+  (msg.locations || []).forEach(location => fields.push([location, 'location']));
 
-function clearEventsFilters() {
-  // Reset to min/max dates instead of leaving empty
-  initEventsDateFilterInputs(allMessages);
-  
-  // Clear search text
-  document.getElementById('events-search-text').value = '';
-  
-  // Reset channel filter to "All Channels"
-  document.getElementById('events-channel-filter').value = '';
-  
-  filteredEventsMessages = [...allMessages].sort((a, b) => new Date(b.date) - new Date(a.date));
-  renderEventsTimeline(filteredEventsMessages);
-  updateEventsStats(filteredEventsMessages);
+  const variants = new Map();
+  fields.forEach(([value, field]) => {
+    const text = String(value ?? '');
+    findHighlightRanges(text, searchText, field).forEach(range => {
+      if (!range.fuzzy) return;
+      const matched = text.slice(range.start, range.end);
+      variants.set(`${range.term}|${matched.toLowerCase()}`, `~${range.term} → ${matched}`);
+    });
+  });
+  return [...variants.values()];
 }
 
-function updateEventsStats(messages) {
+function updateEventsStats(messages, { searching = false } = {}) {
   const statsElement = document.getElementById('events-stats');
   if (!statsElement) {
     console.error('Events stats element not found');
@@ -1174,12 +3611,14 @@ function updateEventsStats(messages) {
 
   const totalEvents = messages.length;
   const uniqueChannels = new Set(messages.map(m => m.channel)).size;
-  const dateRange = messages.length > 0 
-    ? `${new Date(Math.min(...messages.map(m => new Date(m.date)))).toLocaleDateString()} - ${new Date(Math.max(...messages.map(m => new Date(m.date)))).toLocaleDateString()}`
+  const timeRange = getTimeRange(messages.map(m => m.date));
+  const dateRange = timeRange
+    ? `${formatDate(timeRange.first)} - ${formatDate(timeRange.last)}`
     : 'No events';
 
   statsElement.innerHTML = `
     Showing <strong>${totalEvents}</strong> events from <strong>${uniqueChannels}</strong> channels | Date range: <strong>${dateRange}</strong>
+    ${searching ? '<span class="searching-indicator">Searching…</span>' : ''}
   `;
   
   console.log('Events stats updated:', { totalEvents, uniqueChannels, dateRange });
@@ -1196,9 +3635,16 @@ function renderEventsTimeline(messages) {
     return;
   }
 
+  // Re-renders (live arrivals, search progress) keep what was already scrolled into view
+  const previouslyShown = timelineRender ? timelineRender.shown : 0;
+  timelineRender = null;
+  timelineMessagesByKey.clear();
+  timelineStoryEntries.clear();
+
   if (messages.length === 0) {
     timeline.style.display = 'none';
     noEvents.style.display = 'block';
+    updateTimelineMoreButton();
     return;
   }
 
@@ -1206,85 +3652,514 @@ function renderEventsTimeline(messages) {
   noEvents.style.display = 'none';
 
   try {
-    // Group messages by date
-    const messagesByDate = {};
-    messages.forEach(msg => {
-      const dateKey = new Date(msg.date).toDateString();
-      if (!messagesByDate[dateKey]) {
-        messagesByDate[dateKey] = [];
-      }
-      messagesByDate[dateKey].push(msg);
-    });
+    // Reposts collapse into their story's first report, which dates the story
+    const entries = getStoryEntries(messages);
 
-    // Sort dates (newest first)
-    const sortedDates = Object.keys(messagesByDate).sort((a, b) => new Date(b) - new Date(a));
+    // Group entries by date, or keep them as one list when ranked by relevance
+    let groups;
+    if (eventsRankedByRelevance) {
+      groups = [{ title: 'Most relevant first', entries }];
+    } else {
+      const entriesByDate = {};
+      entries.forEach(entry => {
+        // Days of the display time zone, like the date filter
+        const dateKey = getZonedDay(entry.msg.date) || 'unknown';
+        if (!entriesByDate[dateKey]) {
+          entriesByDate[dateKey] = [];
+        }
+        entriesByDate[dateKey].push(entry);
+      });
 
-    timeline.innerHTML = sortedDates.map(dateKey => {
-      const dayMessages = messagesByDate[dateKey];
-      const formattedDate = new Date(dateKey).toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
+      // Sort dates (newest first), undated messages last
+      const sortedDates = Object.keys(entriesByDate).sort((a, b) => {
+        if (a === 'unknown' || b === 'unknown') return (a === 'unknown') - (b === 'unknown');
+        return b.localeCompare(a);
       });
+      groups = sortedDates.map(dateKey => ({
+        title: dateKey === 'unknown' ? 'Unknown date' : formatDay(dateKey),
+        entries: entriesByDate[dateKey]
+      }));
+    }
 
-      const eventsHtml = dayMessages.map(msg => {
-        // Get valid locations with coordinates
-        const validLocations = (msg.locations || []).filter(location => {
-          const locationKey = location.trim().toLowerCase();
-          const coord = locationCache[locationKey];
-          return coord && coord !== null;
-        });
+    timeline.innerHTML = '';
+    timelineRender = { groups, total: entries.length, groupIndex: 0, offset: 0, shown: 0 };
+    appendTimelineEvents(Math.max(TIMELINE_PAGE_SIZE, previouslyShown));
+    
+    console.log('Events timeline rendered successfully');
+  } catch (error) {
+    console.error('Error rendering events timeline:', error);
+    timeline.innerHTML = '<div style="padding: 2rem; text-align: center; color: #ef4444;">Error loading events. Please try refreshing the page.</div>';
+    timelineRender = null;
+    updateTimelineMoreButton();
+  }
+}
 
-        const locationsHtml = validLocations.length > 0
-          ? `<div class="locations">
-              ${validLocations.map(location => 
-                `<span class="location-tag" onclick="goToLocationFromEvents('${location}')">${location}</span>`
-              ).join('')}
-             </div>`
-          : '';
-
-        // Escape single quotes for onclick handler
-        const escapedText = msg.text.replace(/'/g, "\\'").replace(/"/g, '&quot;');
-
-        return `
-          <div class="event-item" onclick="copyToClipboard('${escapedText}')">
-            <div class="event-time">
-              ${new Date(msg.date).toLocaleTimeString()}
-            </div>
-            <div class="event-content">
-              ${msg.text}
-            </div>
-            <div class="event-meta">
-              <span class="channel">${msg.channel}</span>
-              ${locationsHtml}
-            </div>
-          </div>
-        `;
-      }).join('');
+// Render the next count entries of timelineRender, continuing the last date group if it was cut off
+function appendTimelineEvents(count) {
+  const state = timelineRender;
+  if (!state) return;
+  const timeline = document.getElementById('events-timeline');
 
-      return `
+  let remaining = count;
+  while (remaining > 0 && state.groupIndex < state.groups.length) {
+    const { title, entries } = state.groups[state.groupIndex];
+    if (state.offset === 0) {
+      const eventCount = entries.reduce((count, entry) => count + entry.reports.length, 0);
+      timeline.insertAdjacentHTML('beforeend', `
         <div class="date-group">
           <div class="date-header">
-            ${formattedDate} (${dayMessages.length} events)
-          </div>
-          <div class="events-list">
-            ${eventsHtml}
+            ${title} (${eventCount} events)
           </div>
+          <div class="events-list"></div>
         </div>
-      `;
-    }).join('');
-    
-    console.log('Events timeline rendered successfully');
-  } catch (error) {
-    console.error('Error rendering events timeline:', error);
-    timeline.innerHTML = '<div style="padding: 2rem; text-align: center; color: #ef4444;">Error loading events. Please try refreshing the page.</div>';
+      `);
+    }
+
+    const batch = entries.slice(state.offset, state.offset + remaining);
+    timeline.lastElementChild.querySelector('.events-list')
+      .insertAdjacentHTML('beforeend', batch.map(renderTimelineEvent).join(''));
+
+    state.offset += batch.length;
+    state.shown += batch.length;
+    remaining -= batch.length;
+    if (state.offset >= entries.length) {
+      state.groupIndex++;
+      state.offset = 0;
+    }
+  }
+
+  updateTimelineMoreButton();
+}
+
+function renderTimelineEvent(entry) {
+  const { msg, reports, storyId } = entry;
+  // Get valid locations with coordinates
+  const validLocations = (msg.locations || []).filter(location => {
+    const { coord } = resolveLocation(location);
+    return coord && coord !== null;
+  });
+
+  const locationsHtml = validLocations.length > 0
+    ? `<div class="locations">
+        ${validLocations.map(location => 
+          `<span class="location-tag" data-action="show-on-map" data-location="${escapeHtml(location)}">${highlightSearchMatches(location, 'location')}<span class="location-profile-link" data-action="show-location-profile" data-location="${escapeHtml(location)}" title="Place profile">ⓘ</span></span>`
+        ).join('')}
+       </div>`
+    : '';
+
+  const messageKey = getMessageKey(msg);
+  reports.forEach(report => timelineMessagesByKey.set(getMessageKey(report), report));
+  if (reports.length > 1) timelineStoryEntries.set(storyId, entry);
+
+  const isNewArrival = newMessageKeys.has(messageKey);
+  const fuzzyMatches = describeFuzzyMatches(msg);
+
+  return `
+    <div class="event-item${isNewArrival ? ' new-arrival' : ''}" data-action="copy-message" data-message-key="${escapeHtml(messageKey)}"${reports.length > 1 ? ` data-story-card="${storyId}"` : ''} style="--channel-color: ${getChannelColor(msg.channel)};">
+      <div class="event-time">
+        ${eventsRankedByRelevance ? formatDateTime(msg.date) : formatTime(msg.date)}
+        ${isNewArrival ? '<span class="new-badge">NEW</span>' : ''}
+        <span class="event-annotation-actions">
+          ${renderStarToggle(messageKey)}
+          <button class="annotate-toggle" data-action="edit-annotation" data-message-key="${escapeHtml(messageKey)}" title="Labels and note">📝</button>
+        </span>
+      </div>
+      <div class="event-content">
+        ${highlightMessageText(msg.text)}
+      </div>
+      ${fuzzyMatches.length > 0 ? `<div class="fuzzy-matches">Fuzzy: ${fuzzyMatches.map(escapeHtml).join(', ')}</div>` : ''}
+      <div class="event-meta">
+        <span class="channel"><span class="channel-swatch" style="background-color: ${getChannelColor(msg.channel)};"></span>${highlightSearchMatches(msg.channel, 'channel')}</span>
+        ${locationsHtml}
+      </div>
+      ${renderAnnotationSummary(messageKey)}
+      ${reports.length > 1 ? renderStorySummary(reports, storyId) : ''}
+    </div>
+  `;
+}
+
+function updateTimelineMoreButton() {
+  const button = document.getElementById('events-more');
+  const remaining = timelineRender ? timelineRender.total - timelineRender.shown : 0;
+  button.style.display = remaining > 0 ? 'block' : 'none';
+  button.textContent = `Show more events (${remaining} more)`;
+
+  // Observing afresh reports the button's current visibility, so a short page that leaves it
+  // on screen loads the next one straight away
+  if (timelineObserver) {
+    timelineObserver.unobserve(button);
+    if (remaining > 0) timelineObserver.observe(button);
+  }
+}
+
+// Infinite scroll: load the next page as the end of the timeline comes near. The button
+// does the same by hand, and is all there is without IntersectionObserver.
+function setupTimelinePaging() {
+  if (typeof IntersectionObserver === 'undefined') return;
+  timelineObserver = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) appendTimelineEvents(TIMELINE_PAGE_SIZE);
+  }, { root: document.getElementById('events-view'), rootMargin: '0px 0px 800px 0px' });
+}
+
+// ---------------------------------------------------------------------------
+// Stories: reposts of one report across channels, shown as a single card (grouping in stories.js)
+// ---------------------------------------------------------------------------
+
+function rebuildStoryIndex() {
+  storyIndex = createStoryIndex();
+  addToStoryIndex(storyIndex, dataset.messages);
+  expandedStories.clear();
+}
+
+function isGroupingReposts() {
+  return document.getElementById('group-reposts').checked;
+}
+
+// One entry per story when reposts are grouped, otherwise one per message (see collapseStories)
+function getStoryEntries(messages) {
+  if (!isGroupingReposts()) return messages.map(msg => ({ msg, reports: [msg], storyId: null }));
+  return collapseStories(messages, storyIndex);
+}
+
+// Redraw the timeline and an open details list after grouping was switched on or off
+function refreshStoryGrouping() {
+  renderEventsTimeline(filteredMessages);
+  rerenderDetailsMessageList();
+}
+
+// Redraw the message list in the details panel, if it shows one
+function rerenderDetailsMessageList() {
+  const list = document.querySelector('#details-content .details-message-list');
+  const button = document.querySelector('#details-content .details-more');
+  if (!detailsMessageList || !list) return;
+
+  const { messages, renderItem } = detailsMessageList;
+  const html = renderDetailsMessageList(messages, renderItem);
+  if (button) button.remove();
+  list.outerHTML = html;
+}
+
+// Who else carried the report and when, with the reposts themselves when expanded
+function renderStorySummary(reports, storyId) {
+  const { first, channels, spreadMs } = describeStory(reports);
+  const expanded = expandedStories.has(storyId);
+  const channelsHtml = channels.map(channel =>
+    `<span class="channel"><span class="channel-swatch" style="background-color: ${getChannelColor(channel)};"></span>${highlightSearchMatches(channel, 'channel')}</span>`
+  ).join('');
+
+  const reportsHtml = expanded
+    ? `<div class="story-reports">
+        ${reports.slice(1).map(report => `
+          <div class="story-report" data-action="copy-message" data-message-key="${escapeHtml(getMessageKey(report))}">
+            <div class="story-report-meta">
+              <span class="channel"><span class="channel-swatch" style="background-color: ${getChannelColor(report.channel)};"></span>${highlightSearchMatches(report.channel, 'channel')}</span>
+              ${formatDateTime(report.date)} (+${formatStorySpread(new Date(report.date) - new Date(first.date))})
+            </div>
+            <div class="story-report-text">${highlightMessageText(report.text)}</div>
+          </div>
+        `).join('')}
+       </div>`
+    : '';
+
+  return `
+    <div class="story-summary">
+      <span class="story-badge">📰 ${reports.length} reports</span>
+      <span class="story-channels">${channelsHtml}</span>
+      <span class="story-spread">first from ${highlightSearchMatches(first.channel, 'channel')}, reposted within ${formatStorySpread(spreadMs)}</span>
+      <button class="story-toggle" data-action="toggle-story" data-story-id="${storyId}">${expanded ? 'Hide reposts' : 'Show reposts'}</button>
+    </div>
+    ${reportsHtml}
+  `;
+}
+
+// e.g. "under a minute", "25 min", "2 h 5 min"
+function formatStorySpread(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'under a minute';
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+// Expand or collapse one story card in place, in the timeline or the details panel
+function toggleStoryReports(button) {
+  const storyId = Number(button.dataset.storyId);
+  if (expandedStories.has(storyId)) {
+    expandedStories.delete(storyId);
+  } else {
+    expandedStories.add(storyId);
+  }
+
+  const card = button.closest('[data-story-card]');
+  if (!card) return;
+  if (card.closest('#events-timeline')) {
+    const entry = timelineStoryEntries.get(storyId);
+    if (entry) card.outerHTML = renderTimelineEvent(entry);
+  } else if (detailsMessageList) {
+    const entry = detailsMessageList.entries.find(candidate => candidate.storyId === storyId);
+    if (entry) card.outerHTML = renderDetailsEntry(entry);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Dashboard view: charts of the filtered messages (aggregation and markup in dashboard.js)
+// ---------------------------------------------------------------------------
+
+function renderDashboard() {
+  const messages = filteredMessages;
+  const { unit, buckets, volume, channelSeries, topLocations, geocoding: share } = aggregateMessages(dataset, messages, {
+    unit: document.getElementById('dashboard-unit').value,
+    channels: [...channelColors.keys()] // legend order; channels with nothing in the filtered set are left out
+  });
+  const empty = '<p class="dashboard-empty">No messages match the filters.</p>';
+
+  document.getElementById('dashboard-stats').innerHTML = `
+    <strong>${messages.length}</strong> messages, charted per <strong>${unit}</strong> (${escapeHtml(getTimeZoneLabel())}). Click a bar or a location to see its messages in the timeline.
+  `;
+
+  document.getElementById('dashboard-volume').innerHTML = buckets.length > 0
+    ? renderBarChartSvg(buckets, [{ key: null, counts: volume, name: '', color: '#6366f1' }])
+    : empty;
+
+  const channels = channelSeries.map(series => series.key);
+  const coloredSeries = channelSeries.map(series => ({ ...series, name: series.key, color: getChannelColor(series.key) }));
+  document.getElementById('dashboard-channels').innerHTML = buckets.length > 0
+    ? `${renderBarChartSvg(buckets, coloredSeries)}
+       <div class="dashboard-legend">
+         ${channels.map(channel => `<span class="dashboard-legend-entry"><span class="channel-swatch" style="background-color: ${getChannelColor(channel)};"></span>${escapeHtml(channel)}</span>`).join('')}
+       </div>`
+    : empty;
+
+  document.getElementById('dashboard-locations').innerHTML = renderTopLocationsHtml(topLocations);
+
+  document.getElementById('dashboard-geocoded').innerHTML = `
+    ${renderShareDonutSvg(share)}
+    <p><strong>${share.geocoded}</strong> of <strong>${share.total}</strong> messages have a location on the map.</p>
+    ${share.geocoded < share.total ? '<button class="dashboard-action" data-action="open-geocoding">📍 Review geocoding gaps</button>' : ''}
+  `;
+}
+
+// Narrow the filters to what was clicked on the dashboard and open the timeline on those messages
+function drillIntoTimeline(changes) {
+  cancelEventsQuery();
+  Object.assign(filterState, changes);
+  renderFilterBar();
+  if (runFilters()) toggleView('events');
+}
+
+// ---------------------------------------------------------------------------
+// Export: download what the current view shows (builders live in export.js)
+// ---------------------------------------------------------------------------
+
+function setupExportControls() {
+  document.querySelectorAll('.export-menu').forEach(menu => {
+    const options = menu.querySelector('.export-options');
+
+    menu.querySelector('.export-toggle').addEventListener('click', (event) => {
+      event.stopPropagation(); // the document listener below would close it again
+      options.classList.toggle('open');
+    });
+
+    options.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-export-format]');
+      if (!button) return;
+      options.classList.remove('open');
+      exportMessages(menu.dataset.exportScope, button.dataset.exportFormat);
+    });
+  });
+
+  // Any other click closes an open menu
+  document.addEventListener('click', () => {
+    document.querySelectorAll('.export-options.open').forEach(options => options.classList.remove('open'));
+  });
+}
+
+// The messages behind what a view shows: the filtered timeline, or the current map markers
+function getExportMessages(scope) {
+  if (scope === 'events') return filteredMessages;
+  return [...heatmapMessages].sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+function exportMessages(scope, formatName) {
+  const format = EXPORT_FORMATS[formatName];
+  const messages = getExportMessages(scope);
+  if (messages.length === 0) {
+    alert('Nothing to export: no messages match the current filters.');
+    return;
   }
+
+  const content = format.build(messages, resolveLocation);
+  const stamp = new Date().toISOString().split('T')[0];
+  downloadFile(`messages-${scope}-${stamp}.${format.extension}`, content, format.mimeType);
+}
+
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// One delegated click handler for everything rendered from message data, so no
+// message-derived value ever ends up inside an inline handler
+function setupContentActions() {
+  document.addEventListener('click', (event) => {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
+
+    switch (target.dataset.action) {
+      case 'go-to-location':
+        goToLocation(target.dataset.location);
+        break;
+      case 'show-on-map':
+        event.stopPropagation(); // don't also copy the event card it sits in
+        goToLocationFromEvents(target.dataset.location);
+        break;
+      case 'show-message':
+        showDetailsFromStore(target.dataset.msgId);
+        break;
+      case 'toggle-star': {
+        const annotation = annotations[target.dataset.messageKey];
+        setMessageAnnotation(target.dataset.messageKey, { starred: !(annotation && annotation.starred) });
+        break;
+      }
+      case 'edit-annotation': {
+        // Opens an editor inside the event card; a second click closes it
+        const card = target.closest('.event-item');
+        const editor = card.querySelector(':scope > .annotation-editor');
+        if (editor) {
+          editor.remove();
+        } else {
+          card.insertAdjacentHTML('beforeend', renderAnnotationEditor(target.dataset.messageKey));
+          card.querySelector(':scope > .annotation-editor .annotation-labels').focus();
+        }
+        break;
+      }
+      case 'save-annotation': {
+        const editor = target.closest('.annotation-editor');
+        setMessageAnnotation(editor.dataset.messageKey, {
+          labels: parseAnnotationLabels(editor.querySelector('.annotation-labels').value),
+          note: editor.querySelector('.annotation-note').value.trim()
+        });
+        break;
+      }
+      case 'filter-by-label':
+        filterState.label = target.dataset.label;
+        renderFilterBar();
+        if (runFilters()) syncUrlState();
+        break;
+      case 'show-bookmark': {
+        const msg = findMessageByKey(target.dataset.messageKey);
+        if (!msg) {
+          alert('That message isn\'t in the data loaded right now.');
+          break;
+        }
+        if (currentView !== 'map') toggleView('map'); // message details open over the map
+        showMessageDetails(msg);
+        break;
+      }
+      case 'watch-location':
+        openWatchlistPanel({ name: target.dataset.location, locations: target.dataset.location });
+        break;
+      case 'watch-area': {
+        const area = drawnArea || filterState.area; // the area whose details are open
+        if (area) openWatchlistPanel({ name: area.name, area });
+        break;
+      }
+      case 'watchlist-notify': {
+        const watchlist = watchlists.find(candidate => candidate.id === target.dataset.watchlistId);
+        if (!watchlist) break;
+        watchlist.notify = target.checked;
+        if (watchlist.notify) requestNotificationPermission();
+        saveWatchlists();
+        break;
+      }
+      case 'watchlist-history': {
+        const id = target.dataset.watchlistId;
+        if (expandedWatchlists.has(id)) {
+          expandedWatchlists.delete(id);
+        } else {
+          expandedWatchlists.add(id);
+        }
+        renderWatchlistPanel();
+        break;
+      }
+      case 'watchlist-remove':
+        removeWatchlist(target.dataset.watchlistId);
+        break;
+      case 'show-watchlist-hit':
+        showWatchlistHit(target.dataset.messageKey);
+        break;
+      case 'show-location-profile':
+        if (currentView !== 'map') toggleView('map'); // the profile opens in the map's details panel
+        showLocationProfile(target.dataset.location);
+        break;
+      case 'geocode-suggestion':
+        setLocationAlias(target.dataset.locationKey, target.dataset.suggestion);
+        break;
+      case 'geocode-pick':
+        startGeocodingPick(target.dataset.locationKey, target.dataset.locationName, target.dataset.shape);
+        break;
+      case 'geocode-remove':
+        removeLocationOverride(target.dataset.locationKey);
+        break;
+      case 'alias-remove':
+        removeLocationAlias(target.dataset.alias);
+        break;
+      case 'filter-to-region': {
+        const region = regionStore[target.dataset.regionId];
+        if (region) setAreaFilter(createRectangleArea(region.name, region.bounds));
+        break;
+      }
+      case 'timeline-show-more':
+        appendTimelineEvents(TIMELINE_PAGE_SIZE);
+        break;
+      case 'details-show-more':
+        showMoreDetailsMessages();
+        break;
+      case 'toggle-story':
+        toggleStoryReports(target);
+        break;
+      case 'dashboard-drill':
+        drillIntoTimeline({
+          startDate: target.dataset.day,
+          endDate: target.dataset.day,
+          ...(target.dataset.channel ? { channels: [target.dataset.channel] } : {})
+        });
+        break;
+      case 'dashboard-location': {
+        // Every spelling that resolved to the place, as location: terms
+        const terms = target.dataset.spellings.split('\n').map(name => `location:"${name.replace(/"/g, '')}"`);
+        const term = terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0];
+        drillIntoTimeline({ searchText: filterState.searchText ? `${filterState.searchText} ${term}` : term });
+        break;
+      }
+      case 'open-geocoding':
+        openGeocodingPanel();
+        break;
+      case 'filter-to-drawn-area': {
+        const area = drawnArea;
+        drawnArea = null; // it's the filter now, and stays on the map as that
+        if (area) setAreaFilter(area);
+        break;
+      }
+      case 'copy-message': {
+        if (event.target.closest('a, .annotation-editor')) return; // links open, editing isn't copying
+        const msg = timelineMessagesByKey.get(target.dataset.messageKey);
+        if (msg) copyToClipboard(msg.text);
+        break;
+      }
+    }
+  });
 }
 
 function goToLocationFromEvents(locationName) {
   // Switch to map view first
-  toggleView();
+  toggleView('map');
   
   // Wait a bit for the view to switch and map to be ready
   setTimeout(() => {
@@ -0,0 +1,63 @@
+// Runs the events filter pipeline off the main thread.
+// The page sends the dataset once ('dataset'), appends live arrivals ('append'), then
+// sends queries; matches come back as indices into the page's dataset.messages array,
+// with a relevance score for each.
+importScripts('time.js', 'search.js');
+
+const SLICE_BUDGET_MS = 40; // work this long before reporting progress and checking for newer queries
+
+let messages = [];
+let searchIndex = createSearchIndex();
+let latestQueryId = 0;
+
+self.onmessage = (event) => {
+  const data = event.data;
+
+  if (data.type === 'dataset') {
+    messages = data.messages;
+    searchIndex = createSearchIndex();
+    addToSearchIndex(searchIndex, messages);
+  } else if (data.type === 'append') {
+    messages = messages.concat(data.messages);
+    addToSearchIndex(searchIndex, data.messages);
+  } else if (data.type === 'query') {
+    latestQueryId = data.id;
+    const criteria = data.criteria;
+    // Days in the query are the page's display time zone's days
+    if (criteria.timeZone) setDisplayTimeZone(criteria.timeZone);
+    // The area and bookmark filters arrive as dataset indices; resolve them to this side's copies
+    if (criteria.areaIndices) {
+      criteria.areaMessages = new Set(criteria.areaIndices.map(index => messages[index]));
+    }
+    if (criteria.bookmarkIndices) {
+      criteria.bookmarkMessages = new Set(criteria.bookmarkIndices.map(index => messages[index]));
+    }
+    // Live arrivals appended after this point are matched by the page itself
+    runQuery(data.id, criteria, 0, messages.length);
+  }
+};
+
+// Filter one time slice, post what matched, then yield so a newer query can cancel this one
+function runQuery(id, criteria, startIndex, endIndex) {
+  if (id !== latestQueryId) return; // superseded by a newer query
+
+  const sliceStart = Date.now();
+  const matches = [];
+  const scores = [];
+  let index = startIndex;
+
+  while (index < endIndex && Date.now() - sliceStart < SLICE_BUDGET_MS) {
+    if (passesEventsFilters(messages[index], criteria)) {
+      matches.push(index);
+      scores.push(scoreSearchResult(searchIndex, index, criteria.searchText));
+    }
+    index++;
+  }
+
+  const done = index >= endIndex;
+  self.postMessage({ type: 'progress', id, matches, scores, processed: index, total: endIndex, done });
+
+  if (!done) {
+    setTimeout(() => runQuery(id, criteria, index, endIndex), 0);
+  }
+}
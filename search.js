@@ -0,0 +1,561 @@
+// Message filtering and text search.
+// Kept free of DOM and Leaflet so it runs both on the page and inside search-worker.js.
+
+// Check one message against the shared filters (ignoreEndDate lets live arrivals past the end date through).
+// criteria: { startDate, endDate, searchText, selectedChannels, areaMessages, bookmarkMessages } where
+// either date may be null for an open end, an empty selectedChannels means every channel, areaMessages,
+// if set, is the Set of messages inside the area filter and bookmarkMessages, if set, the Set of
+// messages the starred/label filter lets through.
+function passesEventsFilters(msg, criteria, ignoreEndDate = false) {
+  const { startDate, endDate, searchText, selectedChannels, areaMessages, bookmarkMessages } = criteria;
+
+  // Date filter - either end may be open
+  const msgDate = new Date(msg.date);
+  const passesDateFilter = (!startDate || msgDate >= startDate) &&
+    (ignoreEndDate || !endDate || msgDate <= endDate);
+
+  // Enhanced text search filter
+  const passesTextFilter = !searchText || isTextMatch(msg, searchText);
+
+  // Channel filter
+  const passesChannelFilter = !selectedChannels || selectedChannels.length === 0 ||
+    selectedChannels.includes(msg.channel);
+
+  // Area filter - the page resolves the area to the messages inside it
+  const passesAreaFilter = !areaMessages || areaMessages.has(msg);
+
+  // Bookmark filter - the page resolves stars and labels to the messages carrying them
+  const passesBookmarkFilter = !bookmarkMessages || bookmarkMessages.has(msg);
+
+  return passesDateFilter && passesTextFilter && passesChannelFilter && passesAreaFilter && passesBookmarkFilter;
+}
+
+// ---------------------------------------------------------------------------
+// Search query language
+//
+//   rafah khan            both words (AND is implied between terms)
+//   "khan younis"         exact phrase
+//   rafah OR khan         either; OR binds looser than AND
+//   NOT ceasefire         exclude; -ceasefire is shorthand
+//   (a OR b) c            grouping
+//   channel:wire          field qualifiers: channel:, location:, before:, after:
+//   location:"beit lahia" qualifiers take phrases too
+//   after:2025-03-14      on or after that day (in the display time zone); before: is strictly before
+//   ~rafha                fuzzy match, only where asked for
+//
+// Plain terms match as substrings of the text, cleaned text, channel and locations.
+// ---------------------------------------------------------------------------
+
+const SEARCH_FIELDS = ['channel', 'location', 'before', 'after'];
+const FUZZY_THRESHOLD = 0.8; // 80% similarity for ~terms
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+// Split a query into tokens: ( ) OR AND NOT - and terms (with optional field, ~ and quotes)
+function tokenizeSearchQuery(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const ch = query[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, position: i });
+      i++;
+      continue;
+    }
+
+    // A leading '-' negates the term that follows it
+    if (ch === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: 'NOT', position: i });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let field = null;
+    let fuzzy = false;
+
+    // field: prefix (letters only, so times like 10:30 stay plain words)
+    const fieldMatch = /^([a-zA-Z]+):/.exec(query.slice(i));
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      if (field === 'loc') field = 'location';
+      if (!SEARCH_FIELDS.includes(field)) {
+        throw new QuerySyntaxError(
+          `Unknown field "${fieldMatch[1]}:" - use channel:, location:, before: or after:`, i);
+      }
+      i += fieldMatch[0].length;
+    }
+
+    if (query[i] === '~') {
+      fuzzy = true;
+      i++;
+    }
+
+    let value;
+    let phrase = false;
+    if (query[i] === '"') {
+      const close = query.indexOf('"', i + 1);
+      if (close === -1) {
+        throw new QuerySyntaxError('Unterminated quote', i);
+      }
+      value = query.slice(i + 1, close);
+      phrase = true;
+      i = close + 1;
+    } else {
+      const valueStart = i;
+      while (i < query.length && !/[\s()]/.test(query[i])) i++;
+      value = query.slice(valueStart, i);
+    }
+
+    if (!value.trim()) {
+      throw new QuerySyntaxError(field ? `Missing value after "${field}:"` : 'Empty search term', start);
+    }
+
+    // Bare uppercase operators; anything else is a term
+    if (!field && !fuzzy && !phrase && (value === 'AND' || value === 'OR' || value === 'NOT')) {
+      tokens.push({ type: value, position: start });
+    } else {
+      tokens.push({ type: 'TERM', field, value, phrase, fuzzy, position: start });
+    }
+  }
+
+  return tokens;
+}
+
+// Parse a query into an AST of and/or/not/term/date nodes; throws QuerySyntaxError
+function parseSearchQuery(query) {
+  const tokens = tokenizeSearchQuery(query);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const describe = token => token ? `"${token.type === 'TERM' ? token.value : token.type}"` : 'end of query';
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      const operator = tokens[pos++];
+      if (!peek() || peek().type === ')' || peek().type === 'OR') {
+        throw new QuerySyntaxError('OR needs a term on both sides', operator.position);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        const operator = tokens[pos++];
+        if (!peek() || peek().type === ')' || peek().type === 'OR' || peek().type === 'AND') {
+          throw new QuerySyntaxError('AND needs a term on both sides', operator.position);
+        }
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token && token.type === 'NOT') {
+      pos++;
+      if (!peek() || peek().type === ')' || peek().type === 'OR' || peek().type === 'AND') {
+        throw new QuerySyntaxError('Nothing to exclude after NOT / -', token.position);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+
+    if (!token) {
+      throw new QuerySyntaxError('Query ended unexpectedly', query.length);
+    }
+
+    if (token.type === '(') {
+      if (peek() && peek().type === ')') {
+        throw new QuerySyntaxError('Empty parentheses', token.position);
+      }
+      const inner = parseOr();
+      const close = tokens[pos++];
+      if (!close || close.type !== ')') {
+        throw new QuerySyntaxError('Missing closing parenthesis', token.position);
+      }
+      return inner;
+    }
+
+    if (token.type === 'TERM') {
+      return buildTermNode(token);
+    }
+
+    throw new QuerySyntaxError(`Unexpected ${describe(token)}`, token.position);
+  }
+
+  if (tokens.length === 0) return null;
+
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    const token = tokens[pos];
+    throw new QuerySyntaxError(
+      token.type === ')' ? 'Unmatched closing parenthesis' : `Unexpected ${describe(token)}`,
+      token.position
+    );
+  }
+  return ast;
+}
+
+function buildTermNode(token) {
+  if (token.field === 'before' || token.field === 'after') {
+    // Bare dates are whole days in the display time zone, matching the date pickers (time.js).
+    // They stay days here, as a parsed query is reused after the zone changes.
+    if (isDayString(token.value)) return { type: 'date', op: token.field, day: token.value };
+    const time = new Date(token.value).getTime();
+    if (isNaN(time)) {
+      throw new QuerySyntaxError(`"${token.value}" is not a date (use YYYY-MM-DD)`, token.position);
+    }
+    return { type: 'date', op: token.field, time };
+  }
+
+  const value = normalizeText(token.value);
+  if (!value) {
+    throw new QuerySyntaxError(`"${token.value}" has nothing searchable in it`, token.position);
+  }
+  return { type: 'term', field: token.field, value, phrase: token.phrase, fuzzy: token.fuzzy };
+}
+
+// Parsed queries by text, so each distinct query is parsed once per thread
+const parsedQueryCache = new Map();
+
+function getParsedQuery(searchText) {
+  if (!parsedQueryCache.has(searchText)) {
+    if (parsedQueryCache.size > 50) parsedQueryCache.clear();
+    parsedQueryCache.set(searchText, parseSearchQuery(searchText));
+  }
+  return parsedQueryCache.get(searchText);
+}
+
+// Normalized searchable fields per message, computed once per message object
+const searchFieldsCache = new WeakMap();
+
+function getSearchFields(msg) {
+  let fields = searchFieldsCache.get(msg);
+  if (!fields) {
+    fields = {
+      text: normalizeText(String(msg.text || '')),
+      cleaned: normalizeText(String(msg.cleaned_text || '')),
+      channel: normalizeText(String(msg.channel || '')),
+      locations: (msg.locations || []).filter(Boolean).map(location => normalizeText(String(location)))
+    };
+    searchFieldsCache.set(msg, fields);
+  }
+  return fields;
+}
+
+function evaluateQuery(node, msg) {
+  switch (node.type) {
+    case 'and':
+      return node.children.every(child => evaluateQuery(child, msg));
+    case 'or':
+      return node.children.some(child => evaluateQuery(child, msg));
+    case 'not':
+      return !evaluateQuery(node.child, msg);
+    case 'date': {
+      if (node.day) {
+        const day = getZonedDay(msg.date);
+        return day !== null && (node.op === 'before' ? day < node.day : day >= node.day);
+      }
+      const time = new Date(msg.date).getTime();
+      return node.op === 'before' ? time < node.time : time >= node.time;
+    }
+    case 'term': {
+      const fields = getSearchFields(msg);
+      let candidates;
+      if (node.field === 'channel') {
+        candidates = [fields.channel];
+      } else if (node.field === 'location') {
+        candidates = fields.locations;
+      } else {
+        candidates = [fields.text, fields.cleaned, fields.channel, ...fields.locations];
+      }
+      return candidates.some(field => termMatchesField(node, field));
+    }
+    default:
+      return false;
+  }
+}
+
+function termMatchesField(node, field) {
+  if (!node.fuzzy) {
+    return field.includes(node.value);
+  }
+  // Fuzzy phrases compare word by word at the same offset
+  const patternWords = node.value.split(' ');
+  if (patternWords.length === 1) {
+    return fuzzyStringMatch(field, node.value, FUZZY_THRESHOLD);
+  }
+  const fieldWords = field.split(' ');
+  for (let start = 0; start + patternWords.length <= fieldWords.length; start++) {
+    if (patternWords.every((word, offset) =>
+      calculateSimilarity(fieldWords[start + offset], word) >= FUZZY_THRESHOLD)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Check a query without running it; returns the QuerySyntaxError or null
+function getSearchQueryError(searchText) {
+  if (!searchText) return null;
+  try {
+    getParsedQuery(searchText);
+    return null;
+  } catch (err) {
+    if (err instanceof QuerySyntaxError) return err;
+    throw err;
+  }
+}
+
+// Does a message match the search query? Throws QuerySyntaxError for malformed queries.
+function isTextMatch(msg, searchText) {
+  // If no search text, everything matches
+  if (!searchText) return true;
+
+  const ast = getParsedQuery(searchText);
+  return !ast || evaluateQuery(ast, msg);
+}
+
+// ---------------------------------------------------------------------------
+// Relevance ranking and match highlighting
+//
+// The inverted index maps each word to the messages containing it, weighted by
+// where it appears. A query's positive terms (anything not under NOT) are expanded
+// against the index vocabulary - whole word, part of a word, or fuzzy variant -
+// and matching messages are scored TF-IDF style.
+// ---------------------------------------------------------------------------
+
+const FIELD_WEIGHTS = { text: 1, channel: 2, location: 3 };
+const PARTIAL_MATCH_WEIGHT = 0.5; // "raf" inside "rafah" counts for less than "rafah" itself
+
+function createSearchIndex() {
+  return { postings: new Map(), size: 0, expansions: new Map() };
+}
+
+// Index messages as the next documents, so document ids follow positions in the dataset
+function addToSearchIndex(index, messages) {
+  index.expansions.clear(); // the vocabulary changes under cached expansions
+
+  messages.forEach(msg => {
+    const docId = index.size++;
+    const fields = getSearchFields(msg);
+    const weights = new Map();
+    const add = (word, weight) => {
+      if (word) weights.set(word, (weights.get(word) || 0) + weight);
+    };
+
+    // text and cleaned_text mostly repeat each other, so take the larger count of each word
+    const bodyCounts = countWords(fields.text);
+    countWords(fields.cleaned).forEach((count, word) => {
+      if (count > (bodyCounts.get(word) || 0)) bodyCounts.set(word, count);
+    });
+    bodyCounts.forEach((count, word) => add(word, count * FIELD_WEIGHTS.text));
+
+    new Set(fields.channel.split(' ')).forEach(word => add(word, FIELD_WEIGHTS.channel));
+    fields.locations.forEach(location => {
+      new Set(location.split(' ')).forEach(word => add(word, FIELD_WEIGHTS.location));
+    });
+
+    weights.forEach((weight, word) => {
+      if (!index.postings.has(word)) index.postings.set(word, new Map());
+      index.postings.get(word).set(docId, weight);
+    });
+  });
+}
+
+function countWords(text) {
+  const counts = new Map();
+  text.split(' ').forEach(word => {
+    if (word) counts.set(word, (counts.get(word) || 0) + 1);
+  });
+  return counts;
+}
+
+// Terms that count towards a match; excluded terms never do
+function collectPositiveTerms(node, terms = []) {
+  if (!node) return terms;
+  if (node.type === 'term') terms.push(node);
+  if (node.type === 'and' || node.type === 'or') {
+    node.children.forEach(child => collectPositiveTerms(child, terms));
+  }
+  return terms;
+}
+
+// The index words a term stands for, each with how much a hit on it is worth
+function expandTerm(index, node) {
+  const expansions = [];
+
+  node.value.split(' ').forEach(part => {
+    index.postings.forEach((docs, word) => {
+      if (word === part) {
+        expansions.push({ word, weight: 1 });
+      } else if (node.fuzzy) {
+        if (fuzzyStringMatch(word, part, FUZZY_THRESHOLD)) {
+          expansions.push({ word, weight: calculateSimilarity(word, part) });
+        }
+      } else if (word.includes(part)) {
+        expansions.push({ word, weight: PARTIAL_MATCH_WEIGHT });
+      }
+    });
+  });
+
+  return expansions;
+}
+
+function getRankingTerms(index, searchText) {
+  if (!index.expansions.has(searchText)) {
+    const terms = collectPositiveTerms(getParsedQuery(searchText));
+    index.expansions.set(searchText, terms.map(node => expandTerm(index, node)));
+  }
+  return index.expansions.get(searchText);
+}
+
+// Relevance of one indexed message to a query; 0 for queries with nothing to rank by
+function scoreSearchResult(index, docId, searchText) {
+  if (!searchText) return 0;
+
+  let score = 0;
+  getRankingTerms(index, searchText).forEach(expansions => {
+    expansions.forEach(({ word, weight }) => {
+      const docs = index.postings.get(word);
+      const termWeight = docs.get(docId);
+      if (!termWeight) return;
+
+      // Rare words say more about a message than common ones
+      const idf = Math.log(1 + index.size / docs.size);
+      score += weight * Math.log(1 + termWeight) * idf;
+    });
+  });
+  return score;
+}
+
+// Where a query's positive terms occur in a piece of text. field picks which
+// qualified terms apply: 'text', 'channel' or 'location'. Ranges come back sorted
+// and non-overlapping as { start, end, term, fuzzy }.
+function findHighlightRanges(text, searchText, field = 'text') {
+  if (!text || !searchText || getSearchQueryError(searchText)) return [];
+
+  // Same word boundaries as normalizeText
+  const words = [];
+  const wordPattern = /\w+/g;
+  let match;
+  while ((match = wordPattern.exec(text))) {
+    words.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+
+  const ranges = [];
+  collectPositiveTerms(getParsedQuery(searchText)).forEach(node => {
+    if (node.field && node.field !== field) return;
+
+    const parts = node.value.split(' ');
+    for (let i = 0; i + parts.length <= words.length; i++) {
+      const range = matchWordsAt(words, i, parts, node.fuzzy);
+      if (range) ranges.push({ ...range, term: node.value, fuzzy: node.fuzzy });
+    }
+  });
+
+  // Keep the earliest of any overlapping ranges
+  ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+  return ranges.filter((range, i) => i === 0 || range.start >= ranges[i - 1].end);
+}
+
+// Mirrors termMatchesField: substring match for plain terms, word similarity for ~terms
+function matchWordsAt(words, i, parts, fuzzy) {
+  const last = parts.length - 1;
+
+  if (fuzzy) {
+    const matches = parts.length === 1
+      ? fuzzyStringMatch(words[i].word, parts[0], FUZZY_THRESHOLD)
+      : parts.every((part, k) => calculateSimilarity(words[i + k].word, part) >= FUZZY_THRESHOLD);
+    return matches ? { start: words[i].start, end: words[i + last].end } : null;
+  }
+
+  if (parts.length === 1) {
+    const at = words[i].word.indexOf(parts[0]);
+    return at === -1 ? null : { start: words[i].start + at, end: words[i].start + at + parts[0].length };
+  }
+
+  // A phrase can start part-way into a word and stop part-way into another
+  if (!words[i].word.endsWith(parts[0])) return null;
+  for (let k = 1; k < last; k++) {
+    if (words[i + k].word !== parts[k]) return null;
+  }
+  if (!words[i + last].word.startsWith(parts[last])) return null;
+  return { start: words[i].end - parts[0].length, end: words[i + last].start + parts[last].length };
+}
+
+// Normalize text for better searching
+function normalizeText(text) {
+  return text.toLowerCase()
+    .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
+    .replace(/\s+/g, ' ')     // Collapse multiple spaces
+    .trim();
+}
+
+// Simple fuzzy string matching using Levenshtein distance
+function fuzzyStringMatch(text, pattern, threshold = 0.8) {
+  const words = text.split(/\s+/);
+  return words.some(word => {
+    if (Math.abs(word.length - pattern.length) > pattern.length * 0.4) {
+      return false; // Too different in length
+    }
+    const similarity = calculateSimilarity(word, pattern);
+    return similarity >= threshold;
+  });
+}
+
+// Calculate similarity between two strings (0 = no match, 1 = perfect match)
+function calculateSimilarity(str1, str2) {
+  const maxLength = Math.max(str1.length, str2.length);
+  if (maxLength === 0) return 1;
+  
+  const distance = levenshteinDistance(str1, str2);
+  return (maxLength - distance) / maxLength;
+}
+
+// Levenshtein distance calculation
+function levenshteinDistance(str1, str2) {
+  const matrix = Array(str2.length + 1).fill(null).map(() => 
+    Array(str1.length + 1).fill(null)
+  );
+
+  for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
+  for (let j = 0; j <= str2.length; j++) matrix[j][0] = j;
+
+  for (let j = 1; j <= str2.length; j++) {
+    for (let i = 1; i <= str1.length; i++) {
+      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+      matrix[j][i] = Math.min(
+        matrix[j][i - 1] + 1,     // insertion
+        matrix[j - 1][i] + 1,     // deletion
+        matrix[j - 1][i - 1] + cost // substitution
+      );
+    }
+  }
+
+  return matrix[str2.length][str1.length];
+}
@@ -0,0 +1,129 @@
+// Story grouping: near-duplicate reports of one event, typically the same report reposted by
+// several channels minutes apart. Free of DOM and Leaflet like search.js.
+// Messages are compared on cleaned_text (text as a fallback) as sets of word pairs ("shingles");
+// a message joins the story whose first report it resembles most, if that report is close
+// enough in wording and in time. Otherwise it starts a story of its own.
+
+const STORY_MIN_SIMILARITY = 0.6; // Jaccard similarity of the shingle sets
+const STORY_WINDOW_MS = 3 * 60 * 60 * 1000; // reposts come within hours of the first report
+const STORY_MIN_TOKEN_LENGTH = 4; // shorter words are too common to look up candidate stories by
+
+// Lowercased words without accents or punctuation
+function getStoryWords(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Adjacent word pairs, so "strike in Rafah" and "Rafah in strike" don't look alike;
+// texts too short to have many pairs are compared word by word
+function getStoryShingles(words) {
+  if (words.length < 3) return new Set(words);
+  const shingles = new Set();
+  for (let i = 0; i < words.length - 1; i++) {
+    shingles.add(`${words[i]} ${words[i + 1]}`);
+  }
+  return shingles;
+}
+
+function getShingleSimilarity(a, b) {
+  let shared = 0;
+  a.forEach(shingle => {
+    if (b.has(shingle)) shared++;
+  });
+  const union = a.size + b.size - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+// Empty index; fill it with addToStoryIndex.
+// stories are { id, shingles, seedTime, messages } where the shingles and time are those of the
+// message that started the story; buckets maps "timeBucket|word" to the stories started then
+// with that word, so a message is only compared with stories it shares a word with.
+function createStoryIndex() {
+  return { stories: [], storyOf: new Map(), buckets: new Map() };
+}
+
+// Assign messages to stories. Messages may come in any order (live arrivals are added later),
+// though the index only compares against a story's first message.
+function addToStoryIndex(index, messages) {
+  const dated = messages
+    .map(msg => ({ msg, time: Date.parse(msg.date) }))
+    .filter(({ time }) => Number.isFinite(time))
+    .sort((a, b) => a.time - b.time);
+
+  dated.forEach(({ msg, time }) => {
+    const words = getStoryWords(msg.cleaned_text || msg.text);
+    if (words.length === 0) return;
+    const shingles = getStoryShingles(words);
+    const tokens = new Set(words.filter(word => word.length >= STORY_MIN_TOKEN_LENGTH));
+    const bucket = Math.floor(time / STORY_WINDOW_MS);
+
+    let story = null;
+    let bestSimilarity = STORY_MIN_SIMILARITY;
+    const compared = new Set();
+    for (let neighbour = bucket - 1; neighbour <= bucket + 1; neighbour++) {
+      tokens.forEach(token => {
+        (index.buckets.get(`${neighbour}|${token}`) || []).forEach(candidate => {
+          if (compared.has(candidate)) return;
+          compared.add(candidate);
+          if (Math.abs(time - candidate.seedTime) > STORY_WINDOW_MS) return;
+
+          const similarity = getShingleSimilarity(shingles, candidate.shingles);
+          if (similarity >= bestSimilarity) {
+            story = candidate;
+            bestSimilarity = similarity;
+          }
+        });
+      });
+    }
+
+    if (!story) {
+      story = { id: index.stories.length, shingles, seedTime: time, messages: [] };
+      index.stories.push(story);
+      tokens.forEach(token => {
+        const key = `${bucket}|${token}`;
+        if (!index.buckets.has(key)) index.buckets.set(key, []);
+        index.buckets.get(key).push(story);
+      });
+    }
+    story.messages.push(msg);
+    index.storyOf.set(msg, story);
+  });
+}
+
+// Collapse a message list to one entry per story: [{ msg, reports, storyId }] where reports are the
+// story's messages that are in the list, oldest first, and msg is the earliest of them. Entries
+// keep the list position of their earliest report; messages without reposts in the list get
+// reports: [msg]. A message listed twice is shown once.
+function collapseStories(messages, index) {
+  const unique = [...new Set(messages)];
+  const reportsByStory = new Map();
+  unique.forEach(msg => {
+    const story = index.storyOf.get(msg);
+    if (!story) return;
+    if (!reportsByStory.has(story)) reportsByStory.set(story, []);
+    reportsByStory.get(story).push(msg);
+  });
+  reportsByStory.forEach(reports => reports.sort((a, b) => new Date(a.date) - new Date(b.date)));
+
+  const entries = [];
+  unique.forEach(msg => {
+    const story = index.storyOf.get(msg);
+    const reports = story ? reportsByStory.get(story) : [msg];
+    if (reports[0] !== msg) return; // shown with the story's earliest report
+    entries.push({ msg, reports, storyId: story ? story.id : null });
+  });
+  return entries;
+}
+
+// Who carried a story and over how long: { first, channels, spreadMs } for reports oldest first
+function describeStory(reports) {
+  return {
+    first: reports[0],
+    channels: [...new Set(reports.map(msg => msg.channel))],
+    spreadMs: new Date(reports[reports.length - 1].date) - new Date(reports[0].date)
+  };
+}
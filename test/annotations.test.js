@@ -0,0 +1,69 @@
+// Bookmarks and notes (annotations.js): cleaning stored or imported files and merging them.
+// Run from the repository root: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCoreScripts } = require('./load-scripts');
+
+loadCoreScripts();
+
+const note = (updatedAt, changes = {}) => ({ starred: true, labels: [], note: '', updatedAt, date: null, channel: '', text: '', ...changes });
+
+test('sanitizeAnnotations keeps well-formed, non-empty annotations only', () => {
+  const sanitized = sanitizeAnnotations({
+    a: { starred: true, labels: ['verify', ' Verify ', 3, 'follow-up'], note: 'check', updatedAt: '2025-03-14T10:00:00Z', extra: 'dropped' },
+    b: { starred: 'yes', labels: 'x', note: 42 }, // nothing valid left, so empty
+    c: null,
+    d: 'starred',
+    e: { note: 'no date' }
+  });
+
+  assert.deepEqual(Object.keys(sanitized), ['a', 'e']);
+  assert.deepEqual(sanitized.a, {
+    starred: true, labels: ['verify', 'follow-up'], note: 'check', updatedAt: '2025-03-14T10:00:00Z', date: null, channel: '', text: ''
+  });
+  assert.equal(sanitized.e.updatedAt, new Date(0).toISOString());
+  assert.deepEqual(Object.keys(sanitizeAnnotations([note('2025-03-14T10:00:00Z')])), []);
+  assert.deepEqual(Object.keys(sanitizeAnnotations('nope')), []);
+});
+
+test('keys like __proto__ in an imported file are stored as plain message keys', () => {
+  const imported = parseAnnotationsImport('{"annotations": {"__proto__": {"starred": true, "updatedAt": "2025-03-14T10:00:00Z"}, "constructor": {"note": "x"}}}');
+  assert.deepEqual(Object.keys(imported), ['__proto__', 'constructor']);
+  assert.equal(imported.__proto__.starred, true);
+  assert.equal(Object.getPrototypeOf(imported), null);
+  assert.equal({}.starred, undefined);
+
+  const annotations = createAnnotations();
+  assert.deepEqual(mergeAnnotations(annotations, imported), { added: 2, updated: 0, unchanged: 0 });
+  assert.deepEqual(Object.keys(annotations), ['__proto__', 'constructor']);
+
+  // A plain object store doesn't mistake Object.prototype for an existing annotation either
+  const plain = {};
+  assert.deepEqual(mergeAnnotations(plain, sanitizeAnnotations({ toString: note('2025-03-14T10:00:00Z') })), { added: 1, updated: 0, unchanged: 0 });
+  assert.equal(plain.toString.starred, true);
+});
+
+test('mergeAnnotations keeps the later edit of a message annotated on both sides', () => {
+  const annotations = createAnnotations();
+  annotations.a = note('2025-03-14T10:00:00Z', { note: 'mine' });
+  annotations.b = note('2025-03-14T10:00:00Z', { note: 'mine' });
+
+  const result = mergeAnnotations(annotations, {
+    a: note('2025-03-14T12:00:00Z', { note: 'theirs, later' }),
+    b: note('2025-03-14T09:00:00Z', { note: 'theirs, earlier' }),
+    c: note('2025-03-14T09:00:00Z', { note: 'new' })
+  });
+
+  assert.deepEqual(result, { added: 1, updated: 1, unchanged: 1 });
+  assert.equal(annotations.a.note, 'theirs, later');
+  assert.equal(annotations.b.note, 'mine');
+  assert.equal(annotations.c.note, 'new');
+});
+
+test('an export reads back through parseAnnotationsImport, and bad files are refused', () => {
+  const annotations = sanitizeAnnotations({ a: note('2025-03-14T10:00:00Z', { labels: ['verify'] }) });
+  assert.deepEqual(parseAnnotationsImport(buildAnnotationsExport(annotations)), annotations);
+
+  assert.throws(() => parseAnnotationsImport('{not json'), /not valid JSON/);
+  assert.throws(() => parseAnnotationsImport('[1, 2]'), /does not contain message notes/);
+});
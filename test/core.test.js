@@ -0,0 +1,192 @@
+// Data core (core.js) against the bundled demo dataset in fixtures/.
+// Run from the repository root: node --test test/*.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCoreScripts, loadFixtures } = require('./load-scripts');
+
+loadCoreScripts();
+
+let dataset;
+
+beforeEach(() => {
+  setDisplayTimeZone('UTC');
+  const { messages, locationCache } = loadFixtures();
+  dataset = createDataset(messages, locationCache);
+});
+
+const keysOf = messages => messages.map(getMessageKey).sort();
+
+// What the spatial index should find, by checking every message's locations one by one
+function findMessagesInRegionByScan(bounds) {
+  return dataset.messages.filter(msg => (msg.locations || []).some(location => {
+    const { coord } = resolveDatasetLocation(dataset, location);
+    return coord && isLocationInBounds(coord, bounds);
+  }));
+}
+
+test('location cache keys are normalized and names resolve through spelling variants', () => {
+  assert.ok(dataset.locationCache['khan younis']);
+  assert.equal(dataset.locationCache['Khan Younis'], undefined);
+
+  ['Khan Younis', 'Khan Yunis', 'Khan Yūnis', '  khan younis '].forEach(name => {
+    const { key, coord } = resolveDatasetLocation(dataset, name);
+    assert.equal(key, 'khan younis', name);
+    assert.deepEqual(coord, { lat: 31.3462, lon: 34.3063 });
+  });
+  assert.equal(resolveDatasetLocation(dataset, 'Atlantis').coord, undefined);
+});
+
+test('local fixes place names the cache does not know', () => {
+  assert.equal(resolveDatasetLocation(dataset, 'Bureij Camp').coord, undefined);
+
+  setDatasetLocationFixes(dataset, {
+    overrides: { 'bureij camp': { lat: 31.44, lon: 34.4 } },
+    aliases: { 'Al Maghazi': 'Deir al-Balah' }
+  });
+  assert.deepEqual(resolveDatasetLocation(dataset, 'Bureij Camp').coord, { lat: 31.44, lon: 34.4 });
+  assert.equal(resolveDatasetLocation(dataset, 'Al Maghazi').key, 'deir al-balah');
+  assert.equal(getLocationMessages(dataset, 'bureij camp').length, 4);
+});
+
+test('isLocationInBounds takes points on the edge and only boxes entirely inside', () => {
+  const bounds = { north: 31.6, south: 31.4, east: 34.6, west: 34.4 };
+  assert.equal(isLocationInBounds({ lat: 31.5, lon: 34.5 }, bounds), true);
+  assert.equal(isLocationInBounds({ lat: 31.6, lon: 34.4 }, bounds), true);
+  assert.equal(isLocationInBounds({ lat: 31.3, lon: 34.5 }, bounds), false);
+  assert.equal(isLocationInBounds({ north: 31.55, south: 31.45, east: 34.5, west: 34.45 }, bounds), true);
+  assert.equal(isLocationInBounds({ north: 31.65, south: 31.45, east: 34.5, west: 34.45 }, bounds), false);
+});
+
+test('findMessagesInRegion matches a scan of every message, newest first', () => {
+  [
+    dataset.locationCache['gaza city'],
+    dataset.locationCache['gaza strip'],
+    { north: 90, south: -90, east: 180, west: -180 },
+    { north: 31.35, south: 31.34, east: 34.31, west: 34.3 }
+  ].forEach(bounds => {
+    const found = findMessagesInRegion(dataset, bounds);
+    assert.deepEqual(keysOf(found), keysOf(findMessagesInRegionByScan(bounds)));
+    assert.ok(found.every((msg, i) => i === 0 || new Date(found[i - 1].date) >= new Date(msg.date)));
+  });
+  assert.equal(findMessagesInRegion(dataset, dataset.locationCache['gaza city']).length, 21);
+});
+
+test('areas: circles and polygons count locations inside them', () => {
+  const rafah = { lat: 31.2969, lon: 34.2455 };
+  const circle = createCircleArea('Rafah', rafah, 1000);
+  assert.deepEqual(keysOf([...findMessagesInArea(dataset, circle)]), keysOf(getLocationMessages(dataset, 'rafah')));
+
+  // A triangle around Rafah and Khan Younis only
+  const polygon = createPolygonArea('South', [[31.25, 34.2], [31.4, 34.26], [31.3, 34.35]]);
+  const keys = findLocationsInArea(dataset, polygon).map(entry => entry.key).sort();
+  assert.deepEqual(keys, ['khan younis', 'rafah']);
+  const expected = new Set([...getLocationMessages(dataset, 'rafah'), ...getLocationMessages(dataset, 'khan younis')]);
+  assert.deepEqual(keysOf([...findMessagesInArea(dataset, polygon)]), keysOf([...expected]));
+});
+
+test('queryDataset filters by day, channel, text and area', () => {
+  assert.equal(queryDataset(dataset).length, 62);
+  assert.equal(queryDataset(dataset, { startDate: '2025-03-15', endDate: '2025-03-15' }).length, 17);
+  assert.equal(queryDataset(dataset, { startDate: '2025-03-17' }).length, 15);
+  assert.equal(queryDataset(dataset, { endDate: '2025-03-14' }).length, 13);
+
+  const civil = queryDataset(dataset, { channels: ['demo_civil_defense'] });
+  assert.equal(civil.length, 12);
+  assert.ok(civil.every(msg => msg.channel === 'demo_civil_defense'));
+
+  const rafah = queryDataset(dataset, { searchText: 'location:rafah' });
+  assert.ok(rafah.length > 0 && rafah.every(msg => msg.locations.includes('Rafah')));
+
+  const area = createCircleArea('Rafah', { lat: 31.2969, lon: 34.2455 }, 1000);
+  const combined = queryDataset(dataset, { startDate: '2025-03-14', endDate: '2025-03-16', area, searchText: 'NOT zzz' });
+  assert.deepEqual(keysOf(combined), keysOf(getLocationMessages(dataset, 'rafah').filter(msg => msg.date < '2025-03-17')));
+});
+
+test('queryDataset includes the whole end day and reports bad queries', () => {
+  addMessagesToDataset(dataset, [{ id: 'last-ms', channel: 'test', date: '2025-03-17T23:59:59.999Z', text: 'late', locations: [] }]);
+  assert.ok(queryDataset(dataset, { endDate: '2025-03-17' }).some(msg => msg.id === 'last-ms'));
+  assert.ok(!queryDataset(dataset, { endDate: '2025-03-16' }).some(msg => msg.id === 'last-ms'));
+
+  assert.equal(getQueryCriteria(dataset, { startDate: '2025-03-16', endDate: '2025-03-15' }), null);
+  assert.throws(() => queryDataset(dataset, { startDate: '2025-03-16', endDate: '2025-03-15' }), RangeError);
+  assert.throws(() => queryDataset(dataset, { searchText: '(rafah' }), QuerySyntaxError);
+});
+
+test('days follow the display time zone', () => {
+  setDisplayTimeZone('Asia/Jerusalem'); // UTC+2 in March 2025
+  const day = queryDataset(dataset, { startDate: '2025-03-15', endDate: '2025-03-15' });
+  const ids = day.map(msg => msg.date);
+  assert.ok(ids.includes('2025-03-14T23:23:00Z'));
+  assert.ok(!ids.includes('2025-03-15T22:02:00Z'));
+  assert.ok(day.every(msg => getZonedDay(msg.date) === '2025-03-15'));
+
+  const after = queryDataset(dataset, { searchText: 'after:2025-03-17' });
+  assert.ok(after.some(msg => msg.date === '2025-03-16T22:15:00Z'));
+});
+
+test('addMessagesToDataset skips known and undated messages and indexes the rest', () => {
+  const [known] = dataset.messages;
+  const arrival = { id: 'new-1', channel: 'test', date: '2025-03-18T08:00:00Z', text: 'Report from Rafah', locations: ['Rafah'] };
+  const added = addMessagesToDataset(dataset, [known, { id: 'undated', text: 'x' }, arrival, { ...arrival }]);
+
+  assert.deepEqual(added, [arrival]);
+  assert.equal(dataset.messages.length, 63);
+  assert.ok(getLocationMessages(dataset, 'rafah').includes(arrival));
+  assert.ok(findMessagesInArea(dataset, createCircleArea('Rafah', { lat: 31.2969, lon: 34.2455 }, 1000)).has(arrival));
+});
+
+test('addMessagesToDataset takes deltas too large to spread into push', () => {
+  const start = Date.parse('2025-03-18T00:00:00Z');
+  const arrivals = Array.from({ length: 200000 }, (_, i) => ({ id: `bulk-${i}`, channel: 'test', date: new Date(start + i * 1000).toISOString(), text: 'x', locations: [] }));
+  assert.equal(addMessagesToDataset(dataset, arrivals).length, 200000);
+  assert.equal(dataset.messages.length, 62 + 200000);
+  assert.equal(dataset.messages[dataset.messages.length - 1], arrivals[arrivals.length - 1]);
+});
+
+test('addMessagesToDataset leaves out arrivals whose date does not parse', () => {
+  const bad = [
+    { id: 'bad-1', channel: 'test', date: 'yesterday', text: 'Report from Rafah', locations: ['Rafah'] },
+    { id: 'bad-2', channel: 'test', date: '2025-13-45T99:00:00Z', text: 'x', locations: [] }
+  ];
+  assert.deepEqual(addMessagesToDataset(dataset, bad), []);
+  assert.equal(dataset.messages.length, 62);
+  assert.ok(!dataset.messageKeys.has('bad-1'));
+  assert.ok(!getLocationMessages(dataset, 'rafah').some(msg => msg.id === 'bad-1'));
+
+  const good = { id: 'good', channel: 'test', date: '2025-03-18T08:00:00Z', text: 'ok', locations: [] };
+  assert.deepEqual(addMessagesToDataset(dataset, [...bad, good]), [good]);
+  assert.equal(getTimeRange(dataset.messages.map(msg => msg.date)).last, Date.parse(good.date));
+});
+
+test('a refreshed location cache re-places messages already loaded', () => {
+  const { locationCache } = loadFixtures();
+  setDatasetLocationCache(dataset, { ...locationCache, 'Bureij Camp': { lat: 31.44, lon: 34.4 } });
+  assert.equal(findMessagesInRegion(dataset, { north: 31.4401, south: 31.4399, east: 34.4001, west: 34.3999 }).length, 4);
+});
+
+test('place lookups: mentions and nearby places', () => {
+  assert.equal(getLocationMessages(dataset, 'khan younis').length, 12);
+  assert.equal(getLocationDisplayName(dataset, 'khan younis', getLocationMessages(dataset, 'khan younis')), 'Khan Younis');
+
+  const nearby = findNearbyLocations(dataset, 'rafah', 20000, 5);
+  assert.deepEqual(nearby.map(({ entry }) => entry.key), ['khan younis', 'deir al-balah', 'gaza strip']);
+  assert.ok(nearby.every(({ distance }) => distance <= 20000));
+});
+
+test('aggregateMessages counts per bucket, channel and place', () => {
+  const summary = aggregateMessages(dataset, dataset.messages, { unit: 'day' });
+  assert.equal(summary.unit, 'day');
+  assert.deepEqual(summary.buckets.map(bucket => bucket.day), ['2025-03-14', '2025-03-15', '2025-03-16', '2025-03-17']);
+  assert.deepEqual(summary.volume, [13, 17, 17, 15]);
+  assert.deepEqual(summary.channels[0], { channel: 'demo_field_reports', count: 24 });
+  assert.deepEqual(summary.channelSeries.map(series => series.counts.reduce((sum, count) => sum + count, 0)), [24, 13, 13, 12]);
+  assert.deepEqual(summary.topLocations[0].spellings, ['Khan Younis', 'Khan Yunis']);
+  assert.deepEqual(summary.geocoding, { geocoded: 55, total: 62 });
+
+  // Hours are chosen automatically for short spans, and channels follow the order given
+  const day = queryDataset(dataset, { startDate: '2025-03-15', endDate: '2025-03-15' });
+  const hourly = aggregateMessages(dataset, day, { channels: ['demo_wire_en', 'unknown', 'demo_civil_defense'] });
+  assert.equal(hourly.unit, 'hour');
+  assert.equal(hourly.volume.reduce((sum, count) => sum + count, 0), 17);
+  assert.deepEqual(hourly.channelSeries.map(series => series.key), ['demo_wire_en', 'demo_civil_defense']);
+});
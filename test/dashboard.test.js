@@ -0,0 +1,88 @@
+// Dashboard buckets and charts (dashboard.js).
+// Run from the repository root: node --test test/*.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCoreScripts } = require('./load-scripts');
+
+loadCoreScripts();
+
+beforeEach(() => {
+  setDisplayTimeZone('UTC');
+});
+
+test('the charts render with names from the data escaped', () => {
+  const messages = [
+    { channel: '<b>wire</b>', date: '2025-03-14T08:10:00Z', locations: ['Rafah & Co'] },
+    { channel: 'field', date: '2025-03-15T09:00:00Z', locations: ['Rafah & Co'] }
+  ];
+  const buckets = getDashboardBuckets(messages, 'day');
+  const series = countMessagesByBucket(messages, buckets, ['<b>wire</b>', 'field'])
+    .map(({ key, counts }) => ({ key, counts, name: key, color: '#6366f1' }));
+
+  const svg = renderBarChartSvg(buckets, series);
+  assert.equal((svg.match(/<rect /g) || []).length, 2);
+  assert.ok(svg.includes('data-day="2025-03-14" data-channel="&lt;b&gt;wire&lt;/b&gt;"'));
+  assert.ok(svg.includes('<title>03-15 · field: 1 message</title>'));
+  assert.ok(!svg.includes('<b>'));
+
+  const html = renderTopLocationsHtml(getTopLocations(messages, name => ({ key: name.toLowerCase(), coord: { lat: 0, lon: 0 } })));
+  assert.ok(html.includes('<span class="dashboard-bar-label">Rafah &amp; Co</span>'));
+  assert.ok(html.includes('<span class="dashboard-bar-count">2</span>'));
+});
+
+test('hourly buckets stay on the zone\'s hours across a clock change', () => {
+  // New York falls back on 2025-11-02: 01:00-02:00 comes twice
+  setDisplayTimeZone('America/New_York');
+  const messages = [
+    { channel: 'a', date: '2025-10-31T12:00:00Z' },
+    { channel: 'a', date: '2025-11-02T05:30:00Z' }, // 01:30 EDT
+    { channel: 'a', date: '2025-11-02T06:30:00Z' }, // 01:30 EST, the same hour on the clock
+    { channel: 'a', date: '2025-11-03T15:20:00Z' } // 10:20 EST
+  ];
+  const buckets = getDashboardBuckets(messages, getDashboardUnit(messages, 'hour'));
+  const labels = buckets.map(bucket => bucket.label);
+  assert.equal(new Set(labels).size, labels.length);
+  buckets.forEach(bucket => {
+    const { hour, minute } = getZonedParts(bucket.start);
+    assert.equal(hour, bucket.hour);
+    assert.equal(minute, 0);
+    assert.equal(getZonedDay(bucket.start), bucket.day);
+  });
+
+  const [counts] = countMessagesByBucket(messages, buckets).map(series => series.counts);
+  assert.equal(counts[labels.indexOf('11-02 01h')], 2);
+  assert.equal(counts[labels.indexOf('11-03 10h')], 1);
+  assert.equal(buckets[labels.indexOf('11-02 02h')].start - buckets[labels.indexOf('11-02 01h')].start, 2 * 60 * 60 * 1000);
+
+  // Lord Howe Island moves its clocks by half an hour (back on 2025-04-06, 02:00 -> 01:30)
+  setDisplayTimeZone('Australia/Lord_Howe');
+  const island = [{ channel: 'a', date: '2025-04-04T00:00:00Z' }, { channel: 'a', date: '2025-04-07T12:00:00Z' }];
+  getDashboardBuckets(island, 'hour').forEach(bucket => assert.equal(getZonedParts(bucket.start).minute, 0));
+});
+
+test('hourly buckets skip the hour the clocks jump over', () => {
+  setDisplayTimeZone('America/New_York'); // springs forward on 2025-03-09, 02:00 -> 03:00
+  const messages = [{ channel: 'a', date: '2025-03-09T05:00:00Z' }, { channel: 'a', date: '2025-03-09T08:00:00Z' }];
+  const buckets = getDashboardBuckets(messages, 'hour');
+  assert.deepEqual(buckets.map(bucket => bucket.label), ['03-09 00h', '03-09 01h', '03-09 03h', '03-09 04h']);
+  assert.deepEqual(countMessagesByBucket(messages, buckets)[0].counts, [1, 0, 0, 1]);
+});
+
+test('hourly bars say that a click opens their whole day', () => {
+  const messages = [{ channel: 'a', date: '2025-03-14T08:10:00Z' }, { channel: 'a', date: '2025-03-14T10:00:00Z' }];
+  const hourly = getDashboardBuckets(messages, 'hour');
+  const svg = renderBarChartSvg(hourly, countMessagesByBucket(messages, hourly).map(series => ({ ...series, name: '', color: '#000' })));
+  assert.ok(svg.includes('<title>03-14 08h: 1 message (click to show all of 03-14)</title>'));
+  assert.ok(svg.includes('data-day="2025-03-14"'));
+});
+
+test('buckets cover datasets too large to spread into Math.min/max', () => {
+  const start = Date.parse('2025-03-01T00:00:00Z');
+  const messages = Array.from({ length: 200000 }, (_, i) => ({ channel: 'a', date: new Date(start + i * 60000).toISOString() }));
+  messages.push({ channel: 'a', date: null }, { channel: 'a', date: 'not a date' });
+
+  assert.equal(getDashboardUnit(messages, 'auto'), 'day');
+  const buckets = getDashboardBuckets(messages, 'day');
+  assert.equal(buckets[0].day, '2025-03-01');
+  assert.equal(buckets[buckets.length - 1].day, getZonedDay(start + 199999 * 60000));
+});
@@ -0,0 +1,89 @@
+// Export builders (export.js): CSV quoting, GeoJSON and KML escaping and geometry.
+// Run from the repository root: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCoreScripts } = require('./load-scripts');
+
+loadCoreScripts();
+
+const locationCache = {
+  rafah: { lat: 31.2969, lon: 34.2455 },
+  'gaza strip': { north: 31.6, south: 31.2, east: 34.6, west: 34.2 },
+  atlantis: null
+};
+const resolve = name => {
+  const key = name.trim().toLowerCase();
+  return { key, coord: locationCache[key] };
+};
+
+const tricky = {
+  date: '2025-03-14T08:00:00Z',
+  channel: 'wire, "en"',
+  text: 'He said "hold", then\nleft <b>Rafah</b> & the strip\'s edge',
+  cleaned_text: 'he said hold then left rafah',
+  locations: ['Atlantis', 'Rafah', 'Gaza Strip']
+};
+
+test('csvCell quotes commas, quotes and line breaks only', () => {
+  assert.equal(csvCell('plain'), 'plain');
+  assert.equal(csvCell('a,b'), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell('two\nlines'), '"two\nlines"');
+  assert.equal(csvCell('cr\rhere'), '"cr\rhere"');
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(undefined), '');
+  assert.equal(csvCell(0), '0');
+});
+
+test('cells that would open as formulas get a leading quote', () => {
+  assert.equal(csvCell('=HYPERLINK("http://x","y")'), '"\'=HYPERLINK(""http://x"",""y"")"');
+  assert.equal(csvCell('+972 50'), "'+972 50");
+  assert.equal(csvCell('-ceasefire'), "'-ceasefire");
+  assert.equal(csvCell('@channel'), "'@channel");
+  assert.equal(csvCell('\tcmd'), "'\tcmd");
+  assert.equal(csvCell('\rcmd'), '"\'\rcmd"');
+  assert.equal(csvCell('a = b'), 'a = b');
+  assert.equal(csvCell(-34.5), '-34.5');
+
+  const csv = buildCsvExport([{ date: '2025-03-14T08:00:00Z', channel: '@wire', text: '=1+1', cleaned_text: '-x', locations: ['+Rafah'] }], resolve);
+  assert.ok(csv.includes("2025-03-14T08:00:00Z,'@wire,'=1+1,'-x,'+Rafah,,,\r\n"));
+});
+
+test('the CSV has a header, CRLF rows and the first geocoded position', () => {
+  const csv = buildCsvExport([tricky, { date: '2025-03-15T00:00:00Z', channel: 'c', text: 't', locations: ['Gaza Strip'] }], resolve);
+  const lines = csv.split('\r\n');
+  assert.equal(lines[0], 'date,channel,text,cleaned_text,locations,resolved_locations,latitude,longitude');
+  assert.equal(lines[lines.length - 1], '');
+
+  assert.ok(csv.includes('2025-03-14T08:00:00Z,"wire, ""en""","He said ""hold"", then\nleft <b>Rafah</b> & the strip\'s edge",'));
+  assert.ok(csv.includes(',Atlantis; Rafah; Gaza Strip,"Rafah: 31.2969,34.2455; Gaza Strip: 31.2,34.2,31.6,34.6",31.2969,34.2455\r\n'));
+  // A region's position is its centre
+  assert.ok(lines[2].endsWith(`,${(31.6 + 31.2) / 2},${(34.6 + 34.2) / 2}`));
+});
+
+test('GeoJSON has a feature per geocoded location, with regions as closed rings', () => {
+  const collection = JSON.parse(buildGeoJsonExport([tricky], resolve));
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.equal(collection.features.length, 2);
+
+  const [point, region] = collection.features;
+  assert.deepEqual(point.geometry, { type: 'Point', coordinates: [34.2455, 31.2969] });
+  assert.equal(point.properties.text, tricky.text);
+  assert.equal(point.properties.channel, 'wire, "en"');
+  assert.equal(region.properties.location_type, 'region');
+  const [ring] = region.geometry.coordinates;
+  assert.deepEqual(ring, [[34.2, 31.2], [34.6, 31.2], [34.6, 31.6], [34.2, 31.6], [34.2, 31.2]]);
+});
+
+test('KML escapes message content and leaves out bad timestamps', () => {
+  assert.equal(escapeXml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+
+  const kml = buildKmlExport([tricky, { ...tricky, date: 'yesterday', locations: ['Rafah'] }], resolve);
+  assert.equal((kml.match(/<Placemark>/g) || []).length, 3);
+  assert.ok(kml.includes('<description>He said &quot;hold&quot;, then\nleft &lt;b&gt;Rafah&lt;/b&gt; &amp; the strip&apos;s edge</description>'));
+  assert.ok(kml.includes('<Data name="channel"><value>wire, &quot;en&quot;</value></Data>'));
+  assert.ok(!kml.includes('<b>'));
+  assert.equal((kml.match(/<TimeStamp>/g) || []).length, 2);
+  assert.ok(kml.includes('<Point><coordinates>34.2455,31.2969,0</coordinates></Point>'));
+  assert.ok(kml.includes('<coordinates>34.2,31.2,0 34.6,31.2,0 34.6,31.6,0 34.2,31.6,0 34.2,31.2,0</coordinates>'));
+});
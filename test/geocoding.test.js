@@ -0,0 +1,74 @@
+// Location name matching (geocoding.js): which spellings land on one place and which stay apart.
+// Run from the repository root: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCoreScripts } = require('./load-scripts');
+
+loadCoreScripts();
+
+function assertSamePlace(...names) {
+  const skeletons = names.map(getLocationSkeleton);
+  skeletons.forEach((skeleton, i) => assert.equal(skeleton, skeletons[0], `${names[i]} / ${names[0]}`));
+}
+
+function assertDifferentPlaces(a, b) {
+  assert.notEqual(getLocationSkeleton(a), getLocationSkeleton(b), `${a} / ${b}`);
+}
+
+test('articles joined to a word, or al/el on their own, are dropped', () => {
+  assertSamePlace('Deir al-Balah', 'Deir Balah', 'Deir el-Balah', 'Deir al Balah', 'Dayr al-Balaḥ');
+  assertSamePlace('ash-Shati', 'Shati', 'Ash’Shati');
+  assertSamePlace('Al Mawasi', 'al-Mawasi', 'Mawasi');
+  assertSamePlace('Tal as-Sultan', 'Tal Sultan');
+});
+
+test('short words that are not written as articles stay part of the name', () => {
+  assertDifferentPlaces('Ein as Sultan', 'Ein Sultan');
+  assertDifferentPlaces('Saint Martin en Haut', 'Saint Martin Haut');
+  assertDifferentPlaces('Beit at Tin', 'Beit Tin');
+  assertDifferentPlaces('Tel an Nasr', 'Tel Nasr');
+  assert.equal(getLocationSkeleton('Al'), 'al'); // a name that is only an article is left alone
+});
+
+test('transliteration variants fold together', () => {
+  assertSamePlace('Beit Lahia', 'Bayt Lahiya', 'Beit Lahiya');
+  assertSamePlace('Beit Hanoun', 'Bayt Hanun');
+  assertSamePlace('Nuseirat', 'Nusairat');
+  assertSamePlace('Khan Younis', 'Khan Yunis', 'Khan Yūnis');
+  assertSamePlace('Jabalia', 'Jabalya');
+  assertSamePlace('Shujaiyya', 'Shujaiya');
+});
+
+test('ay/ai/ei/ey only fold before a consonant', () => {
+  assertDifferentPlaces('Sinai', 'Sine');
+  assertDifferentPlaces('Maia', 'Mea');
+  assertDifferentPlaces('Hayat', 'Het');
+});
+
+test('resolveLocationName finds cache entries through variants, aliases and exact keys first', () => {
+  const index = buildLocationIndex({
+    'deir al-balah': { lat: 31.42, lon: 34.35 },
+    'beit lahia': { lat: 31.55, lon: 34.5 },
+    'ein as sultan': { lat: 31.87, lon: 35.44 },
+    'ein sultan': null
+  }, { 'Al Maghazi': 'Deir al-Balah' });
+
+  assert.equal(resolveLocationName(index, 'Deir Balah').key, 'deir al-balah');
+  assert.equal(resolveLocationName(index, 'Bayt Lahiya').key, 'beit lahia');
+  assert.equal(resolveLocationName(index, 'Al Maghazi').key, 'deir al-balah');
+  assert.deepEqual(resolveLocationName(index, 'Ein Sultan'), { key: 'ein sultan', coord: null });
+  assert.equal(resolveLocationName(index, 'Gaza').coord, undefined);
+});
+
+test('fixes and aliases named like Object.prototype keys are kept and resolve', () => {
+  const fixes = sanitizeLocationOverrides(JSON.parse('{"__proto__": {"lat": 1, "lon": 2}, "Constructor": {"lat": 3, "lon": 4}}'));
+  assert.deepEqual(Object.keys(fixes).sort(), ['__proto__', 'constructor']);
+  assert.deepEqual(Object.keys(JSON.parse(buildCachePatch(fixes))), ['__proto__', 'constructor']);
+
+  const cache = applyLocationOverrides({ rafah: { lat: 31.29, lon: 34.25 } }, fixes);
+  const index = buildLocationIndex(cache, { toString: 'Rafah' });
+  assert.deepEqual(resolveLocationName(index, '__proto__'), { key: '__proto__', coord: { lat: 1, lon: 2 } });
+  assert.deepEqual(resolveLocationName(index, 'constructor').coord, { lat: 3, lon: 4 });
+  assert.equal(resolveLocationName(index, 'toString').key, 'rafah');
+  assert.equal(resolveLocationName(index, 'valueOf').coord, undefined);
+});
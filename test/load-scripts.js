@@ -0,0 +1,23 @@
+// Loads the DOM-free browser scripts (the data core and the modules around it) into this Node
+// process, in the order index.html loads them, so tests can call their functions as the page does. Plain scripts share one global
+// scope, which vm.runInThisContext gives them here too.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const CORE_SCRIPTS = ['time.js', 'search.js', 'stories.js', 'render.js', 'export.js', 'geocoding.js', 'dashboard.js', 'core.js', 'watchlists.js', 'annotations.js'];
+
+function loadCoreScripts() {
+  CORE_SCRIPTS.forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+  });
+}
+
+// A fresh copy of the bundled demo dataset for each call, as datasets grow in place
+function loadFixtures() {
+  const read = file => JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', file), 'utf8'));
+  return { messages: read('tagged_messages.json'), locationCache: read('location_cache.json') };
+}
+
+module.exports = { loadCoreScripts, loadFixtures };
@@ -0,0 +1,132 @@
+// Search query language, ranking and highlighting (search.js).
+// Run from the repository root: node --test test/*.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCoreScripts } = require('./load-scripts');
+
+loadCoreScripts();
+
+beforeEach(() => {
+  setDisplayTimeZone('UTC');
+});
+
+// A parsed query written out as nested lists, e.g. (or (and a b) c)
+function show(node) {
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return `(${node.type} ${node.children.map(show).join(' ')})`;
+    case 'not':
+      return `(not ${show(node.child)})`;
+    case 'date':
+      return `${node.op}:${node.day || new Date(node.time).toISOString()}`;
+    default:
+      return `${node.field ? `${node.field}:` : ''}${node.fuzzy ? '~' : ''}${node.phrase ? `"${node.value}"` : node.value}`;
+  }
+}
+
+function assertSyntaxError(query, message, position) {
+  assert.throws(() => parseSearchQuery(query), err => {
+    assert.ok(err instanceof QuerySyntaxError, `${query}: ${err}`);
+    assert.match(err.message, message);
+    assert.equal(err.position, position, query);
+    return true;
+  });
+}
+
+test('AND is implied and binds tighter than OR; NOT and - bind to one term', () => {
+  assert.equal(show(parseSearchQuery('rafah khan OR gaza')), '(or (and rafah khan) gaza)');
+  assert.equal(show(parseSearchQuery('rafah OR khan gaza')), '(or rafah (and khan gaza))');
+  assert.equal(show(parseSearchQuery('rafah AND khan OR gaza AND strike')), '(or (and rafah khan) (and gaza strike))');
+  assert.equal(show(parseSearchQuery('-ceasefire rafah')), '(and (not ceasefire) rafah)');
+  assert.equal(show(parseSearchQuery('NOT (rafah OR khan) strike')), '(and (not (or rafah khan)) strike)');
+  assert.equal(show(parseSearchQuery('(rafah OR khan) -strike')), '(and (or rafah khan) (not strike))');
+  assert.equal(show(parseSearchQuery('NOT NOT rafah')), '(not (not rafah))');
+});
+
+test('terms take fields, phrases and ~; operators only count in capitals', () => {
+  assert.equal(show(parseSearchQuery('channel:Wire location:"Beit Lahia" ~rafha')), '(and channel:wire location:"beit lahia" ~rafha)');
+  assert.equal(show(parseSearchQuery('loc:rafah')), 'location:rafah');
+  assert.equal(show(parseSearchQuery('rafah or khan')), '(and rafah or khan)');
+  assert.equal(show(parseSearchQuery('"OR" 10:30')), '(and "or" 10 30)');
+  assert.equal(show(parseSearchQuery('after:2025-03-14 before:2025-03-15T12:00:00Z')), '(and after:2025-03-14 before:2025-03-15T12:00:00.000Z)');
+  assert.equal(parseSearchQuery('   '), null);
+});
+
+test('malformed queries throw QuerySyntaxError with where the problem is', () => {
+  assertSyntaxError('(rafah', /Missing closing parenthesis/, 0);
+  assertSyntaxError('rafah)', /Unmatched closing parenthesis/, 5);
+  assertSyntaxError('rafah ()', /Empty parentheses/, 6);
+  assertSyntaxError('say "khan', /Unterminated quote/, 4);
+  assertSyntaxError('rafah OR', /OR needs a term on both sides/, 6);
+  assertSyntaxError('OR rafah', /Unexpected "OR"/, 0);
+  assertSyntaxError('rafah AND OR khan', /AND needs a term on both sides/, 6);
+  assertSyntaxError('rafah NOT', /Nothing to exclude/, 6);
+  assertSyntaxError('rafah -)', /Nothing to exclude/, 6);
+  assertSyntaxError('place:rafah', /Unknown field "place:"/, 0);
+  assertSyntaxError('channel: wire', /Missing value after "channel:"/, 0);
+  assertSyntaxError('after:yesterday', /"yesterday" is not a date/, 0);
+
+  assert.ok(getSearchQueryError('(rafah') instanceof QuerySyntaxError);
+  assert.equal(getSearchQueryError('rafah'), null);
+  assert.equal(getSearchQueryError(''), null);
+});
+
+test('isTextMatch applies the query to text, channel and locations', () => {
+  const msg = {
+    channel: 'demo_wire_en',
+    date: '2025-03-14T22:30:00Z',
+    text: 'Strike reported in Khan Younis overnight',
+    cleaned_text: 'strike reported in khan younis overnight',
+    locations: ['Khan Younis', 'Gaza Strip']
+  };
+
+  assert.ok(isTextMatch(msg, 'strike "khan younis"'));
+  assert.ok(isTextMatch(msg, 'channel:wire location:gaza'));
+  assert.ok(!isTextMatch(msg, 'channel:gaza'));
+  assert.ok(isTextMatch(msg, 'ceasefire OR overnight'));
+  assert.ok(!isTextMatch(msg, 'strike -overnight'));
+  assert.ok(isTextMatch(msg, '~yunis'));
+  assert.ok(!isTextMatch(msg, 'yunis'));
+  assert.ok(isTextMatch(msg, 'after:2025-03-14 before:2025-03-15'));
+
+  setDisplayTimeZone('Asia/Jerusalem'); // 00:30 on the 15th there
+  assert.ok(isTextMatch(msg, 'after:2025-03-15'));
+  assert.throws(() => isTextMatch(msg, '(strike'), QuerySyntaxError);
+});
+
+test('the search index ranks place and channel hits above passing mentions', () => {
+  const messages = [
+    { channel: 'field', text: 'Convoy left for the south; Rafah crossing closed', locations: [] },
+    { channel: 'field', text: 'Shelling reported', locations: ['Rafah'] },
+    { channel: 'rafah_news', text: 'Power cut', locations: [] },
+    { channel: 'field', text: 'Nothing about it', locations: ['Jabalia'] }
+  ];
+  const index = createSearchIndex();
+  addToSearchIndex(index, messages);
+
+  const scores = messages.map((msg, docId) => scoreSearchResult(index, docId, 'rafah'));
+  assert.equal(scores[3], 0);
+  assert.ok(scores[1] > scores[2] && scores[2] > scores[0] && scores[0] > 0, scores.join(', '));
+
+  // Parts of words count for less, excluded terms and empty queries not at all
+  assert.ok(scoreSearchResult(index, 1, 'raf') < scores[1]);
+  assert.equal(scoreSearchResult(index, 3, 'jabalia -rafah'), scoreSearchResult(index, 3, 'jabalia'));
+  assert.equal(scoreSearchResult(index, 1, ''), 0);
+
+  // Messages added later get the next ids
+  addToSearchIndex(index, [{ channel: 'x', text: 'Rafah again', locations: ['Rafah'] }]);
+  assert.ok(scoreSearchResult(index, 4, 'rafah') > 0);
+});
+
+test('findHighlightRanges marks the positive terms that apply to a field', () => {
+  const text = 'Strike in Khan Younis; strikes near Rafah';
+  const ranges = findHighlightRanges(text, '"khan younis" strike -rafah location:rafah');
+  assert.deepEqual(ranges.map(({ start, end }) => text.slice(start, end)), ['Strike', 'Khan Younis', 'strike']);
+  assert.deepEqual(ranges[1], { start: 10, end: 21, term: 'khan younis', fuzzy: false });
+
+  assert.deepEqual(findHighlightRanges('Rafah', 'location:rafah', 'location').map(range => [range.start, range.end]), [[0, 5]]);
+  assert.deepEqual(findHighlightRanges(text, '~yunis').map(({ start, end, fuzzy }) => [text.slice(start, end), fuzzy]), [['Younis', true]]);
+  assert.deepEqual(findHighlightRanges(text, '(khan'), []);
+  assert.deepEqual(findHighlightRanges(text, ''), []);
+});
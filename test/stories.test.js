@@ -0,0 +1,52 @@
+// Story grouping of reposts (stories.js).
+// Run from the repository root: node --test test/*.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCoreScripts } = require('./load-scripts');
+
+loadCoreScripts();
+
+const report = (channel, date, text) => ({ channel, date, text, cleaned_text: text, locations: [] });
+const STRIKE = 'Airstrike hits a residential building in eastern Khan Younis, several casualties reported';
+
+test('near-identical reports within the window form one story', () => {
+  const first = report('wire', '2025-03-14T08:00:00Z', STRIKE);
+  const repost = report('field', '2025-03-14T08:12:00Z', `${STRIKE}.`);
+  const reworded = report('civil', '2025-03-14T08:40:00Z', 'BREAKING: Airstrike hits a residential building in eastern Khan Younis, several casualties reported');
+  const other = report('wire', '2025-03-14T08:05:00Z', 'Aid convoy reaches the northern crossing after a two day delay at the checkpoint');
+  const index = createStoryIndex();
+  addToStoryIndex(index, [reworded, other, repost, first]); // any order
+
+  assert.equal(index.stories.length, 2);
+  assert.equal(index.storyOf.get(first), index.storyOf.get(repost));
+  assert.equal(index.storyOf.get(first), index.storyOf.get(reworded));
+  assert.notEqual(index.storyOf.get(first), index.storyOf.get(other));
+
+  const entries = collapseStories([repost, other, reworded, first], index);
+  assert.deepEqual(entries.map(entry => entry.msg), [other, first]);
+  assert.deepEqual(entries[1].reports, [first, repost, reworded]);
+  assert.deepEqual(describeStory(entries[1].reports), { first, channels: ['wire', 'field', 'civil'], spreadMs: 40 * 60 * 1000 });
+});
+
+test('the same text hours apart, or a different story, stays separate', () => {
+  const morning = report('wire', '2025-03-14T08:00:00Z', STRIKE);
+  const evening = report('field', '2025-03-14T12:30:00Z', STRIKE);
+  const shuffled = report('field', '2025-03-14T08:10:00Z', STRIKE.split(' ').reverse().join(' '));
+  const index = createStoryIndex();
+  addToStoryIndex(index, [morning, evening, shuffled, report('x', 'not a date', STRIKE), report('x', '2025-03-14T08:00:00Z', '')]);
+
+  assert.equal(index.stories.length, 3);
+  assert.equal(index.storyOf.size, 3);
+  assert.deepEqual(collapseStories([morning, evening, morning], index).map(entry => entry.reports.length), [1, 1]);
+});
+
+test('live arrivals join the story of the report they repost', () => {
+  const first = report('wire', '2025-03-14T08:00:00Z', STRIKE);
+  const index = createStoryIndex();
+  addToStoryIndex(index, [first]);
+
+  const late = report('field', '2025-03-14T09:30:00Z', STRIKE);
+  addToStoryIndex(index, [late]);
+  assert.equal(index.stories.length, 1);
+  assert.deepEqual(collapseStories([late, first], index)[0].reports, [first, late]);
+});
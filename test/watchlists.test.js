@@ -0,0 +1,80 @@
+// Watchlist matching and history (watchlists.js).
+// Run from the repository root: node --test test/*.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCoreScripts } = require('./load-scripts');
+
+loadCoreScripts();
+
+beforeEach(() => {
+  setDisplayTimeZone('UTC');
+});
+
+const index = buildLocationIndex({ 'khan younis': { lat: 31.3462, lon: 34.3063 }, rafah: { lat: 31.2969, lon: 34.2455 } }, {});
+const resolve = name => resolveLocationName(index, name);
+const keyOf = msg => msg.id;
+
+const messages = [
+  { id: 'a', channel: 'wire', date: '2025-03-14T08:00:00Z', text: 'Strike in Khan Yunis', locations: ['Khan Yunis'] },
+  { id: 'b', channel: 'field', date: '2025-03-14T09:00:00Z', text: 'Strike near Rafah', locations: ['Rafah'] },
+  { id: 'c', channel: 'wire', date: '2025-03-14T10:00:00Z', text: 'Ceasefire talks resume', locations: [] },
+  { id: 'd', channel: 'wire', date: '2025-03-14T11:00:00Z', text: 'Strike reported, no location', locations: [] }
+];
+const ids = list => list.map(msg => msg.id);
+
+test('a message must meet every criterion the watchlist sets', () => {
+  const matching = watchlist => ids(messages.filter(msg => matchesWatchlist(msg, watchlist, resolve)));
+
+  assert.deepEqual(matching(createWatchlist({ name: 'strikes', keywords: 'strike' })), ['a', 'b', 'd']);
+  assert.deepEqual(matching(createWatchlist({ name: 'wire strikes', keywords: 'strike', channels: ['wire'] })), ['a', 'd']);
+  // Places are cache keys, so other spellings of them count
+  assert.deepEqual(matching(createWatchlist({ name: 'khan younis', locations: ['khan younis'] })), ['a']);
+  assert.deepEqual(matching(createWatchlist({ name: 'south', keywords: 'strike -reported', locations: ['khan younis', 'rafah'] })), ['a', 'b']);
+
+  const area = createWatchlist({ name: 'area', area: { name: 'Box', value: 'x' } });
+  assert.deepEqual(ids(messages.filter(msg => matchesWatchlist(msg, area, resolve, new Set([messages[2]])))), ['c']);
+});
+
+test('checkWatchlist records new hits once, newest first', () => {
+  const watchlist = createWatchlist({ name: 'strikes', keywords: 'strike' });
+  const now = new Date('2025-03-14T12:00:00Z');
+
+  const hits = checkWatchlist(watchlist, messages.slice(0, 2), { resolve, keyOf, now });
+  assert.deepEqual(hits.map(hit => hit.messageKey), ['b', 'a']);
+  assert.deepEqual(hits[0], { messageKey: 'b', date: messages[1].date, channel: 'field', text: 'Strike near Rafah', triggeredAt: now.toISOString(), seen: false });
+
+  assert.deepEqual(checkWatchlist(watchlist, messages, { resolve, keyOf, now }).map(hit => hit.messageKey), ['d']);
+  assert.deepEqual(watchlist.history.map(hit => hit.messageKey), ['d', 'b', 'a']);
+  assert.equal(countUnseenHits([watchlist]), 3);
+
+  // Nothing to match on, or keywords that don't parse: no hits
+  assert.deepEqual(checkWatchlist(createWatchlist({ name: 'empty' }), messages, { resolve, keyOf }), []);
+  assert.deepEqual(checkWatchlist(createWatchlist({ name: 'broken', keywords: '(strike' }), messages, { resolve, keyOf }), []);
+});
+
+test('only messages after checkedUntil count, and checkedUntil never moves back', () => {
+  const watchlist = createWatchlist({ name: 'strikes', keywords: 'strike' }, getLatestMessageDate(messages.slice(0, 2)));
+  assert.equal(watchlist.checkedUntil, '2025-03-14T09:00:00.000Z');
+  assert.deepEqual(ids(getUncheckedMessages(watchlist, messages)), ['c', 'd']);
+
+  advanceWatchlistCheck(watchlist, messages);
+  assert.equal(watchlist.checkedUntil, '2025-03-14T11:00:00.000Z');
+  advanceWatchlistCheck(watchlist, messages.slice(0, 1));
+  assert.equal(watchlist.checkedUntil, '2025-03-14T11:00:00.000Z');
+
+  assert.equal(getLatestMessageDate([{ date: null }, { date: 'nope' }]), null);
+  assert.deepEqual(getUncheckedMessages(createWatchlist({ name: 'new' }), messages), []);
+});
+
+test('sanitizeWatchlists drops malformed entries and fields', () => {
+  const [watchlist, ...rest] = sanitizeWatchlists([
+    { id: 'w1', name: 'ok', keywords: 3, channels: ['wire', '', 7], locations: 'rafah', area: { value: 'c:1,2,3' }, notify: 'yes', history: [{ messageKey: 'a' }, { nope: 1 }] },
+    { id: 2, name: 'bad id' },
+    null
+  ]);
+  assert.equal(rest.length, 0);
+  assert.deepEqual(watchlist, {
+    id: 'w1', name: 'ok', keywords: '', channels: ['wire'], locations: [], area: { name: '', value: 'c:1,2,3' }, notify: false, checkedUntil: null, history: [{ messageKey: 'a' }]
+  });
+  assert.deepEqual(sanitizeWatchlists({}), []);
+});
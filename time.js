@@ -0,0 +1,158 @@
+// Dates and times in one time zone across the app: the display zone picked in the navigation,
+// which is the browser's own zone ('local'), UTC or a named IANA zone. The date filter, the
+// timeline's days, chart buckets, search's after:/before: and every time shown use it, and a
+// day runs from its first to its last millisecond in that zone, so a range's end day is included.
+// Free of DOM like search.js, which relies on it inside search-worker.js too.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Zones offered in the picker; links and setDisplayTimeZone take any IANA name
+const TIME_ZONE_OPTIONS = [
+  { value: 'local', label: 'Browser local' },
+  { value: 'UTC', label: 'UTC' },
+  { value: 'Asia/Jerusalem', label: 'Jerusalem' },
+  { value: 'Asia/Gaza', label: 'Gaza' },
+  { value: 'Asia/Beirut', label: 'Beirut' },
+  { value: 'Europe/London', label: 'London' },
+  { value: 'America/New_York', label: 'New York' }
+];
+
+let displayTimeZone = 'local';
+const zonedPartsFormats = new Map(); // zone -> Intl.DateTimeFormat splitting instants into calendar parts
+
+function isValidTimeZone(zone) {
+  if (zone === 'local') return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Switch the display zone; unknown zones are refused (returns false) and the current one kept
+function setDisplayTimeZone(zone) {
+  if (typeof zone !== 'string' || !isValidTimeZone(zone)) return false;
+  displayTimeZone = zone;
+  return true;
+}
+
+function getDisplayTimeZone() {
+  return displayTimeZone;
+}
+
+// The zone's name for labels; 'local' is named after the browser's zone
+function getTimeZoneLabel(zone = displayTimeZone) {
+  if (zone !== 'local') return zone;
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'local time';
+}
+
+// { year, month (1-12), day, hour, minute, second } of an instant (ms) on the zone's clock
+function getZonedParts(time, zone = displayTimeZone) {
+  const date = new Date(time);
+  if (zone === 'local') {
+    return {
+      year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+      hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds()
+    };
+  }
+  if (zone === 'UTC') {
+    return {
+      year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+      hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds()
+    };
+  }
+
+  if (!zonedPartsFormats.has(zone)) {
+    zonedPartsFormats.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = {};
+  zonedPartsFormats.get(zone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+// How far the zone's clock is ahead of UTC at an instant, in ms
+function getTimeZoneOffsetMs(time, zone = displayTimeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(time, zone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(time / 1000) * 1000;
+}
+
+// The YYYY-MM-DD day an instant (date string, Date or ms) falls on in the zone, or null for non-dates
+function getZonedDay(value, zone = displayTimeZone) {
+  const time = new Date(value).getTime();
+  if (isNaN(time)) return null;
+  const { year, month, day } = getZonedParts(time, zone);
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Earliest and latest of some dates (strings, Dates or ms) as { first, last } in ms, or null when
+// none is a date. A loop, since spreading a large dataset into Math.min/max overflows the stack.
+function getTimeRange(values) {
+  let first = Infinity;
+  let last = -Infinity;
+  for (const value of values) {
+    const time = value === null || value === undefined ? NaN : new Date(value).getTime();
+    if (isNaN(time)) continue;
+    if (time < first) first = time;
+    if (time > last) last = time;
+  }
+  return first <= last ? { first, last } : null;
+}
+
+function isDayString(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(`${value}T00:00:00.000Z`));
+}
+
+function addDays(day, count) {
+  return new Date(Date.parse(`${day}T00:00:00.000Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+// First millisecond of a YYYY-MM-DD day in the zone
+function getDayStart(day, zone = displayTimeZone) {
+  return getHourStart(day, 0, zone);
+}
+
+// First millisecond of an hour (0-23) of a day on the zone's clock. An hour the clocks skip
+// starts where the hour before it does, and an hour they repeat starts at its first pass.
+function getHourStart(day, hour, zone = displayTimeZone) {
+  const wallUtc = Date.parse(`${day}T00:00:00.000Z`) + hour * HOUR_MS;
+  // The offset at the wall time read as UTC gives a first guess; the offset at that guess
+  // settles hours when the clocks change
+  const guess = wallUtc - getTimeZoneOffsetMs(wallUtc, zone);
+  return wallUtc - getTimeZoneOffsetMs(guess, zone);
+}
+
+// Last millisecond of a day in the zone, so a range ending on the day covers all of it
+function getDayEnd(day, zone = displayTimeZone) {
+  return getDayStart(addDays(day, 1), zone) - 1;
+}
+
+function getLocaleZoneOptions(zone) {
+  return zone === 'local' ? {} : { timeZone: zone };
+}
+
+// Displayed dates and times: what toLocaleString and friends show, on the zone's clock
+function formatDateTime(value, zone = displayTimeZone) {
+  return new Date(value).toLocaleString(undefined, getLocaleZoneOptions(zone));
+}
+
+function formatTime(value, zone = displayTimeZone) {
+  return new Date(value).toLocaleTimeString(undefined, getLocaleZoneOptions(zone));
+}
+
+function formatDate(value, zone = displayTimeZone) {
+  return new Date(value).toLocaleDateString(undefined, getLocaleZoneOptions(zone));
+}
+
+// A YYYY-MM-DD day written out, e.g. "Friday, March 14, 2025"; a calendar day reads the same in any zone
+function formatDay(day, options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) {
+  return new Date(`${day}T12:00:00.000Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+}
@@ -0,0 +1,144 @@
+// Watchlists: standing questions such as "anything about Rafah" or "strikes reported by wire",
+// checked against messages as they are loaded. Free of DOM and Leaflet like search.js; the page
+// keeps them in localStorage, resolves locations, looks up areas and shows the hits.
+// A watchlist triggers on a message that meets every criterion it sets: its keywords (search
+// syntax), one of its channels, one of its places (location cache keys) and a location inside
+// its area. Each hit is recorded once in the watchlist's history, newest first.
+
+const WATCHLIST_HISTORY_LIMIT = 200; // hits kept per watchlist
+const WATCHLIST_SNIPPET_LENGTH = 160; // characters of message text kept with a hit
+
+// A new watchlist. checkedUntil is the date of the newest message already loaded: only messages
+// after it count when a dataset loads, so a new watchlist doesn't fire on the whole history.
+function createWatchlist({ name, keywords = '', channels = [], locations = [], area = null, notify = false }, checkedUntil = null) {
+  return {
+    id: `w${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    keywords,
+    channels,
+    locations,
+    area,
+    notify,
+    checkedUntil,
+    history: []
+  };
+}
+
+function hasWatchlistCriteria(watchlist) {
+  return Boolean(watchlist.keywords || watchlist.channels.length > 0 || watchlist.locations.length > 0 || watchlist.area);
+}
+
+// Keep only well-formed watchlists from storage. Areas stay in their stored form,
+// { name, value } with value as in the link's area parameter, for the page to parse.
+function sanitizeWatchlists(saved) {
+  if (!Array.isArray(saved)) return [];
+  const strings = list => (Array.isArray(list) ? list.filter(item => typeof item === 'string' && item.trim()) : []);
+
+  return saved
+    .filter(watchlist => watchlist && typeof watchlist.id === 'string' && typeof watchlist.name === 'string')
+    .map(watchlist => ({
+      id: watchlist.id,
+      name: watchlist.name,
+      keywords: typeof watchlist.keywords === 'string' ? watchlist.keywords : '',
+      channels: strings(watchlist.channels),
+      locations: strings(watchlist.locations),
+      area: watchlist.area && typeof watchlist.area.value === 'string'
+        ? { name: String(watchlist.area.name || ''), value: watchlist.area.value }
+        : null,
+      notify: watchlist.notify === true,
+      checkedUntil: typeof watchlist.checkedUntil === 'string' ? watchlist.checkedUntil : null,
+      history: Array.isArray(watchlist.history)
+        ? watchlist.history.filter(hit => hit && typeof hit.messageKey === 'string').slice(0, WATCHLIST_HISTORY_LIMIT)
+        : []
+    }));
+}
+
+// Does the message meet every criterion the watchlist sets? resolve(name) returns { key, coord }
+// as resolveLocationName does; areaMessages is the set of messages located inside the
+// watchlist's area, and must be given when it has one.
+function matchesWatchlist(msg, watchlist, resolve, areaMessages = null) {
+  if (watchlist.channels.length > 0 && !watchlist.channels.includes(msg.channel)) return false;
+  if (watchlist.locations.length > 0) {
+    const keys = (msg.locations || [])
+      .filter(location => location && typeof location === 'string')
+      .map(location => resolve(location).key);
+    if (!keys.some(key => watchlist.locations.includes(key))) return false;
+  }
+  if (areaMessages && !areaMessages.has(msg)) return false;
+  return isTextMatch(msg, watchlist.keywords);
+}
+
+// Record the watchlist's hits among newly loaded messages and return them, newest first:
+// [{ messageKey, date, channel, text, triggeredAt, seen }]. Messages already in its history
+// are skipped, so loading the same messages again doesn't trigger twice.
+function checkWatchlist(watchlist, messages, { resolve, keyOf, areaMessages = null, now = new Date() }) {
+  if (!hasWatchlistCriteria(watchlist) || getSearchQueryError(watchlist.keywords)) return [];
+
+  const recorded = new Set(watchlist.history.map(hit => hit.messageKey));
+  const hits = [];
+  messages.forEach(msg => {
+    const messageKey = keyOf(msg);
+    if (recorded.has(messageKey) || !matchesWatchlist(msg, watchlist, resolve, areaMessages)) return;
+    recorded.add(messageKey);
+    hits.push({
+      messageKey,
+      date: msg.date,
+      channel: msg.channel,
+      text: getWatchlistSnippet(msg),
+      triggeredAt: now.toISOString(),
+      seen: false
+    });
+  });
+
+  hits.sort((a, b) => new Date(b.date) - new Date(a.date));
+  watchlist.history = [...hits, ...watchlist.history].slice(0, WATCHLIST_HISTORY_LIMIT);
+  return hits;
+}
+
+function getWatchlistSnippet(msg) {
+  const text = String(msg.cleaned_text || msg.text || '').replace(/\s+/g, ' ').trim();
+  return text.length > WATCHLIST_SNIPPET_LENGTH ? `${text.slice(0, WATCHLIST_SNIPPET_LENGTH - 1)}…` : text;
+}
+
+// Latest message date as an ISO string, or null for no dated messages
+function getLatestMessageDate(messages) {
+  const range = getTimeRange(messages.map(msg => msg.date));
+  return range ? new Date(range.last).toISOString() : null;
+}
+
+// Messages the watchlist hasn't been checked against when a dataset loads: those after checkedUntil
+function getUncheckedMessages(watchlist, messages) {
+  const checkedUntil = Date.parse(watchlist.checkedUntil);
+  if (!Number.isFinite(checkedUntil)) return [];
+  return messages.filter(msg => Date.parse(msg.date) > checkedUntil);
+}
+
+// Move checkedUntil up to the newest of the messages; it never moves back
+function advanceWatchlistCheck(watchlist, messages) {
+  const latest = getLatestMessageDate(messages);
+  if (latest && (!watchlist.checkedUntil || Date.parse(latest) > Date.parse(watchlist.checkedUntil))) {
+    watchlist.checkedUntil = latest;
+  }
+}
+
+function countUnseenHits(watchlists) {
+  return watchlists.reduce((sum, watchlist) => sum + watchlist.history.filter(hit => !hit.seen).length, 0);
+}
+
+// Hits across all watchlists for the inbox, most recently triggered first: [{ watchlist, hit }]
+function getWatchlistInbox(watchlists, limit) {
+  return watchlists
+    .flatMap(watchlist => watchlist.history.map(hit => ({ watchlist, hit })))
+    .sort((a, b) => new Date(b.hit.triggeredAt) - new Date(a.hit.triggeredAt) || new Date(b.hit.date) - new Date(a.hit.date))
+    .slice(0, limit);
+}
+
+// Criteria in words, e.g. 'keywords "strike" · places: rafah · channels: wire'
+function describeWatchlist(watchlist) {
+  const parts = [];
+  if (watchlist.keywords) parts.push(`keywords "${watchlist.keywords}"`);
+  if (watchlist.locations.length > 0) parts.push(`places: ${watchlist.locations.join(', ')}`);
+  if (watchlist.channels.length > 0) parts.push(`channels: ${watchlist.channels.join(', ')}`);
+  if (watchlist.area) parts.push(`inside ${watchlist.area.name || 'an area'}`);
+  return parts.join(' · ');
+}